@@ -0,0 +1,137 @@
+// Component registry: the SwiftUI (and third-party) view types parser.js knows by name
+// A definition is { name, kind, slots?, content?, action?, wrapper?, icon? }
+// - kind: 'container' (a layout holding views: node kind Container) or 'leaf' (node kind View)
+// - slots: argument labels whose views become Slot children (`Section(header: Text("A"))`, `Button(label: { ... })`);
+//   labeled trailing closures (`} footer: { ... }`) become Slot children for every type
+// - content: name of the Slot the unlabeled trailing closure becomes, instead of plain children
+//   (NavigationSplitView { ... } detail: { ... } -> Slot sidebar, Slot detail)
+// - action: label of the closure run on interaction; when it is not passed by label, the unlabeled trailing
+//   closure is that action and holds no views (Button { save() } label: { ... }); when it is, the trailing closure
+//   is the `content` Slot (Button(action: save) { ... } -> Slot label)
+// - wrapper: the unlabeled first argument is the one view the type wraps (AnyView(Text("A")) -> child Text)
+// - icon: a short text shown before the type in the tree
+// A struct of the same name declared in the project wins: it is inlined like any custom view.
+// Custom types come from register() or a JSON config ({ "components": [...] } or a plain array, see loadConfig).
+// Usable from the page (window.SwiftUIComponents), the parse worker and Node (module.exports).
+
+(function () {
+    const BUILT_IN = [
+        { name: 'VStack', kind: 'container', icon: '⬍' },
+        { name: 'HStack', kind: 'container', icon: '⬌' },
+        { name: 'ZStack', kind: 'container', icon: '⧉' },
+        { name: 'LazyVStack', kind: 'container', icon: '⬍' },
+        { name: 'LazyHStack', kind: 'container', icon: '⬌' },
+        { name: 'LazyVGrid', kind: 'container', icon: '▦' },
+        { name: 'LazyHGrid', kind: 'container', icon: '▦' },
+        { name: 'Grid', kind: 'container', icon: '▦' },
+        { name: 'GridRow', kind: 'container', icon: '⬌' },
+        { name: 'ScrollView', kind: 'container', icon: '↕' },
+        { name: 'ScrollViewReader', kind: 'container', icon: '↕' },
+        { name: 'List', kind: 'container', icon: '☰' },
+        { name: 'Form', kind: 'container', icon: '☰' },
+        { name: 'Section', kind: 'container', slots: ['header', 'footer'], icon: '▤' },
+        { name: 'Group', kind: 'container', icon: '◌' },
+        { name: 'GroupBox', kind: 'container', slots: ['label'], icon: '▢' },
+        { name: 'ControlGroup', kind: 'container', slots: ['label'], icon: '▭' },
+        { name: 'DisclosureGroup', kind: 'container', slots: ['label'], icon: '▸' },
+        { name: 'ViewThatFits', kind: 'container', icon: '⤢' },
+        { name: 'GeometryReader', kind: 'container', icon: '⌗' },
+        { name: 'ForEach', kind: 'container', icon: '↻' },
+        { name: 'TabView', kind: 'container', icon: '⊟' },
+        { name: 'NavigationStack', kind: 'container', icon: '⧈' },
+        { name: 'NavigationView', kind: 'container', icon: '⧈' },
+        { name: 'NavigationSplitView', kind: 'container', slots: ['sidebar', 'content', 'detail'], content: 'sidebar', icon: '◫' },
+        { name: 'Text', kind: 'leaf', icon: 'T' },
+        { name: 'Label', kind: 'leaf', slots: ['title', 'icon'], icon: 'T' },
+        { name: 'Image', kind: 'leaf', icon: '▣' },
+        { name: 'AsyncImage', kind: 'leaf', icon: '▣' },
+        { name: 'Button', kind: 'leaf', slots: ['label'], content: 'label', action: 'action', icon: '◉' },
+        { name: 'Menu', kind: 'container', slots: ['content', 'label'], content: 'content', icon: '▾' },
+        { name: 'NavigationLink', kind: 'leaf', slots: ['label'], icon: '→' },
+        { name: 'Link', kind: 'leaf', icon: '→' },
+        { name: 'Toggle', kind: 'leaf', slots: ['label'], icon: '◐' },
+        { name: 'Picker', kind: 'leaf', slots: ['label'], icon: '▾' },
+        { name: 'TextField', kind: 'leaf', icon: '⌨' },
+        { name: 'SecureField', kind: 'leaf', icon: '⌨' },
+        { name: 'TextEditor', kind: 'leaf', icon: '⌨' },
+        { name: 'Slider', kind: 'leaf', icon: '⊶' },
+        { name: 'Stepper', kind: 'leaf', icon: '±' },
+        { name: 'ProgressView', kind: 'leaf', icon: '◔' },
+        { name: 'Spacer', kind: 'leaf', icon: '␣' },
+        { name: 'Divider', kind: 'leaf', icon: '―' },
+        { name: 'AnyView', kind: 'container', wrapper: true, icon: '?' },
+    ];
+    const KINDS = ['container', 'leaf'];
+
+    let registry = new Map();
+
+    // Check and copy a definition; throws with the offending entry named
+    function normalize(def) {
+        if (!def || typeof def !== 'object') throw new Error('元件定義必須是物件');
+        const { name, kind = 'leaf', slots = [], content, action, wrapper, icon } = def;
+        if (typeof name !== 'string' || !/^[A-Za-z_]\w*(?:\.\w+)*$/.test(name)) throw new Error(`元件名稱無效：${JSON.stringify(name)}`);
+        if (!KINDS.includes(kind)) throw new Error(`${name} 的 kind 必須是 ${KINDS.join(' 或 ')}`);
+        if (!Array.isArray(slots) || slots.some(s => typeof s !== 'string')) throw new Error(`${name} 的 slots 必須是字串陣列`);
+        for (const [key, value] of Object.entries({ content, action, icon })) {
+            if (value !== undefined && typeof value !== 'string') throw new Error(`${name} 的 ${key} 必須是字串`);
+        }
+        if (wrapper !== undefined && typeof wrapper !== 'boolean') throw new Error(`${name} 的 wrapper 必須是 true 或 false`);
+        const out = { name, kind };
+        if (slots.length) out.slots = slots.slice();
+        if (content) out.content = content;
+        if (action) out.action = action;
+        if (wrapper) out.wrapper = true;
+        if (icon) out.icon = icon;
+        return out;
+    }
+
+    // Add or replace definitions (one or a list); a later definition of a name wins
+    function register(defs) {
+        for (const def of Array.isArray(defs) ? defs : [defs]) {
+            const out = normalize(def);
+            registry.set(out.name, out);
+        }
+    }
+
+    // Back to the built-in types plus `defs` (what the page and the parse worker do before each parse)
+    function configure(defs = []) {
+        registry = new Map(BUILT_IN.map(def => [def.name, def]));
+        register(defs);
+    }
+
+    // Definitions from a JSON config text; nothing is registered until the whole config is valid
+    function loadConfig(json) {
+        let data;
+        try {
+            data = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (err) {
+            throw new Error(`元件設定不是有效的 JSON (${err.message})`);
+        }
+        const defs = Array.isArray(data) ? data : data && data.components;
+        if (!Array.isArray(defs)) throw new Error('元件設定必須是陣列，或含 components 陣列的物件');
+        const list = defs.map(normalize);
+        register(list);
+        return list;
+    }
+
+    function get(name) {
+        return registry.get(name) || null;
+    }
+
+    function list() {
+        return Array.from(registry.values());
+    }
+
+    // Definitions that are not built in or that replace a built-in one
+    function custom() {
+        return list().filter(def => !BUILT_IN.includes(def));
+    }
+
+    configure();
+
+    // Public API (browser + Node)
+    const SwiftUIComponentsAPI = { BUILT_IN, register, configure, loadConfig, get, list, custom };
+    // `self` is the page's window, or the global scope of parse-worker.js
+    if (typeof self !== 'undefined') self.SwiftUIComponents = SwiftUIComponentsAPI;
+    if (typeof module !== 'undefined' && module.exports) module.exports = SwiftUIComponentsAPI;
+})();
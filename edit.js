@@ -0,0 +1,174 @@
+// Source edits driven by the parsed tree (the tree returned by buildTreeForRoot)
+// Every edit is a splice of the original text at the nodes' / modifiers' `loc` offsets, so everything outside the
+// edited spans is kept byte for byte; moved or wrapped code is re-indented to its new position.
+// Each function takes the source of the file the node was parsed from and returns the new source, or throws an
+// Error with a user-facing message. Round trip: source -> tree -> edit(source, node) -> source -> tree.
+// Usable from the page (window.SwiftUIEdit) and from Node (module.exports).
+
+(function () {
+    // Nodes that stand for source text that is not a standalone view statement
+    const SYNTHETIC_KINDS = ['Branch', 'Case', 'Slot', 'Modifier'];
+    const CONTROL_KINDS = ['If', 'Guard', 'Switch', 'CompileIf'];
+    const WRAPPERS = ['VStack', 'HStack', 'ZStack'];
+
+    const fail = message => { throw new Error(message); };
+
+    // What can be done with a node: { move, delete, wrap, unwrap, modifiers }; nothing for nodes inlined from another
+    // body (`inlined`, set by the parser), whose locations are in that struct's or modifier's own body
+    function capabilities(node) {
+        const statement = Boolean(node.loc) && !node.diff && !node.inlined && !SYNTHETIC_KINDS.includes(node.kind);
+        return {
+            move: statement,
+            delete: statement,
+            wrap: statement && !CONTROL_KINDS.includes(node.kind),
+            unwrap: statement && node.kind === 'Container' && !(node.modifiers || []).length && childSpan(node) !== null,
+            modifiers: statement && !CONTROL_KINDS.includes(node.kind),
+        };
+    }
+
+    function check(node, capability) {
+        if (!capabilities(node)[capability]) fail(`無法對 ${node.name} 執行這個編輯`);
+        return node.loc;
+    }
+
+    // Indentation (leading whitespace) of the line containing `pos`
+    function indentAt(source, pos) {
+        const start = source.lastIndexOf('\n', pos - 1) + 1;
+        return /^[ \t]*/.exec(source.slice(start))[0];
+    }
+
+    // Indentation step used by the file: the smallest non-zero indentation, else four spaces
+    function indentUnit(source) {
+        let unit = null;
+        for (const m of source.matchAll(/^([ \t]+)\S/gm)) {
+            if (!unit || m[1].length < unit.length) unit = m[1];
+        }
+        return unit && unit.length <= 8 ? unit : '    ';
+    }
+
+    // Move every line but the first from indentation `from` to `to` (lines indented less lose what they have)
+    function reindent(text, from, to) {
+        return text.split('\n').map((line, i) => {
+            if (i === 0) return line;
+            if (!line.trim()) return '';
+            return line.startsWith(from) ? to + line.slice(from.length) : to + line.trimStart();
+        }).join('\n');
+    }
+
+    // Span to delete for [start, end): whole lines when the text is alone on its lines, else the text plus the
+    // whitespace in front of it (so `A().padding()` loses ` .padding()` cleanly)
+    function removalSpan(source, start, end) {
+        const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+        let lineEnd = source.indexOf('\n', end);
+        if (lineEnd < 0) lineEnd = source.length;
+        if (!source.slice(lineStart, start).trim() && !source.slice(end, lineEnd).trim()) {
+            return { start: lineStart, end: Math.min(lineEnd + 1, source.length) };
+        }
+        let s = start;
+        while (s > 0 && /\s/.test(source[s - 1])) s--;
+        return { start: s, end };
+    }
+
+    // Apply non-overlapping replacements [{ start, end, text }]
+    function splice(source, edits) {
+        const sorted = edits.slice().sort((a, b) => b.start - a.start);
+        for (let k = 1; k < sorted.length; k++) {
+            if (sorted[k].end > sorted[k - 1].start) fail('編輯範圍重疊');
+        }
+        let out = source;
+        for (const e of sorted) out = out.slice(0, e.start) + e.text + out.slice(e.end);
+        return out;
+    }
+
+    function sameFile(a, b) {
+        return a.loc.file === b.loc.file;
+    }
+
+    function deleteNode(source, node) {
+        const loc = check(node, 'delete');
+        return splice(source, [{ ...removalSpan(source, loc.start, loc.end), text: '' }]);
+    }
+
+    // Move a node's code before or after `target` (another view statement of the same file)
+    function moveNode(source, node, target, after = false) {
+        const loc = check(node, 'move');
+        const to = check(target, 'move');
+        if (!sameFile(node, target)) fail('只能在同一個檔案內移動');
+        if (to.start >= loc.start && to.end <= loc.end) fail('不能移到自己裡面');
+        const text = source.slice(loc.start, loc.end);
+        const indent = indentAt(source, to.start);
+        const moved = reindent(text, indentAt(source, loc.start), indent);
+        const removal = { ...removalSpan(source, loc.start, loc.end), text: '' };
+        const targetAlone = !source.slice(source.lastIndexOf('\n', to.start - 1) + 1, to.start).trim();
+        let insert;
+        if (after) insert = { start: to.end, end: to.end, text: `\n${indent}${moved}` };
+        else if (targetAlone) insert = { start: to.start, end: to.start, text: `${moved}\n${indent}` };
+        else insert = { start: to.start, end: to.start, text: `${moved} ` };
+        // Moving next to itself: nothing to do
+        if (insert.start >= removal.start && insert.start <= removal.end) return source;
+        return splice(source, [removal, insert]);
+    }
+
+    // Wrap a node in `VStack { ... }` (or HStack / ZStack)
+    function wrapNode(source, node, container) {
+        const loc = check(node, 'wrap');
+        if (!WRAPPERS.includes(container)) fail(`不支援的容器 ${container}`);
+        const indent = indentAt(source, loc.start);
+        const inner = indent + indentUnit(source);
+        const text = reindent(source.slice(loc.start, loc.end), indent, inner);
+        return splice(source, [{ start: loc.start, end: loc.end, text: `${container} {\n${inner}${text}\n${indent}}` }]);
+    }
+
+    // Source span of a container's children, when they are all written inside it
+    function childSpan(node) {
+        const children = (node.children || []).filter(c => !(c.diff && c.diff.status === 'removed'));
+        if (!children.length || !children.every(c => c.loc && c.loc.file === node.loc.file && c.loc.start >= node.loc.start && c.loc.end <= node.loc.end)) return null;
+        return { start: Math.min(...children.map(c => c.loc.start)), end: Math.max(...children.map(c => c.loc.end)) };
+    }
+
+    // Replace a container (without modifiers) by its children
+    function unwrapNode(source, node) {
+        const loc = check(node, 'unwrap');
+        const span = childSpan(node);
+        const text = reindent(source.slice(span.start, span.end), indentAt(source, span.start), indentAt(source, loc.start));
+        return splice(source, [{ start: loc.start, end: loc.end, text }]);
+    }
+
+    // Append a modifier (`padding()`, `.font(.title)`) on its own line after the node's last modifier
+    function addModifier(source, node, text) {
+        const loc = check(node, 'modifiers');
+        const call = text.trim().replace(/^\./, '');
+        if (!/^[A-Za-z_]\w*\s*(\([\s\S]*\))?\s*(\{[\s\S]*\})?$/.test(call)) fail(`「${text.trim()}」不是 modifier 呼叫，例如 padding() 或 font(.title)`);
+        const mods = (node.modifiers || []).filter(m => m.loc);
+        const last = mods[mods.length - 1];
+        const onOwnLine = last && !source.slice(source.lastIndexOf('\n', last.loc.start - 1) + 1, last.loc.start).trim();
+        const indent = onOwnLine ? indentAt(source, last.loc.start) : indentAt(source, loc.start) + indentUnit(source);
+        return splice(source, [{ start: loc.end, end: loc.end, text: `\n${indent}.${call}` }]);
+    }
+
+    function modifierAt(node, index) {
+        check(node, 'modifiers');
+        const mod = (node.modifiers || [])[index];
+        if (!mod || !mod.loc) fail('找不到這個 modifier 的原始碼');
+        return mod;
+    }
+
+    function removeModifier(source, node, index) {
+        const mod = modifierAt(node, index);
+        return splice(source, [{ ...removalSpan(source, mod.loc.start, mod.loc.end), text: '' }]);
+    }
+
+    // Move the modifier at `from` to position `to`; the modifiers' texts trade places, separators stay
+    function moveModifier(source, node, from, to) {
+        const mods = node.modifiers.map((m, i) => modifierAt(node, i));
+        if (to < 0 || to >= mods.length) fail('modifier 位置超出範圍');
+        const order = mods.map((m, i) => i);
+        order.splice(to, 0, order.splice(from, 1)[0]);
+        return splice(source, mods.map((m, i) => ({ start: m.loc.start, end: m.loc.end, text: source.slice(mods[order[i]].loc.start, mods[order[i]].loc.end) })));
+    }
+
+    // Public API (browser + Node)
+    const SwiftUIEditAPI = { WRAPPERS, capabilities, deleteNode, moveNode, wrapNode, unwrapNode, addModifier, removeModifier, moveModifier };
+    if (typeof window !== 'undefined') window.SwiftUIEdit = SwiftUIEditAPI;
+    if (typeof module !== 'undefined' && module.exports) module.exports = SwiftUIEditAPI;
+})();
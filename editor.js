@@ -0,0 +1,236 @@
+// Code editor around the source <textarea>: line numbers, Swift syntax highlighting (tokens of tokenizer.js),
+// matching bracket at the caret and wavy underlines under parser diagnostics
+// The textarea stays the editing surface with transparent text; layers under it draw the same text highlighted
+// and follow its scrolling. Only the lines in view (and OVERSCAN lines around them) are drawn, so typing in a long
+// file does not rebuild the whole document's HTML. The tooltip of the textarea shows the diagnostics under the caret.
+// SwiftUIEditor.attach(textarea) -> { refresh(), setDiagnostics(diagnostics) }; refresh() after setting `value`.
+
+(function () {
+    const KEYWORDS = new Set([
+        'actor', 'as', 'associatedtype', 'async', 'await', 'break', 'case', 'catch', 'class', 'continue', 'default',
+        'defer', 'do', 'else', 'enum', 'extension', 'fallthrough', 'false', 'fileprivate', 'final', 'for', 'func',
+        'guard', 'if', 'import', 'in', 'init', 'inout', 'internal', 'is', 'lazy', 'let', 'mutating', 'nil',
+        'nonisolated', 'open', 'override', 'private', 'protocol', 'public', 'repeat', 'rethrows', 'return', 'self',
+        'Self', 'some', 'static', 'struct', 'subscript', 'super', 'switch', 'throw', 'throws', 'true', 'try',
+        'typealias', 'var', 'weak', 'where', 'while', 'any',
+    ]);
+    const BRACKETS = '()[]{}';
+    // Lines drawn above and below the visible ones, so scrolling a little needs no redraw
+    const OVERSCAN = 20;
+
+    const escapeHTML = text => text.replace(/[&<>]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[ch]);
+
+    function tokenClass(tokens, i) {
+        const token = tokens[i];
+        const prev = tokens[i - 1];
+        const next = tokens[i + 1];
+        switch (token.type) {
+            case 'string': return 'tok-string';
+            case 'number': return 'tok-number';
+            case 'directive': return 'tok-directive';
+            case 'identifier':
+                if (prev && prev.text === '@' && prev.end === token.start) return 'tok-attribute';
+                if (KEYWORDS.has(token.text)) return 'tok-keyword';
+                if (/^[A-Z]/.test(token.text)) return 'tok-type';
+                if (prev && prev.text === '.') return 'tok-member';
+                return '';
+            case 'punct':
+                if (BRACKETS.includes(token.text)) return 'tok-bracket';
+                if (token.text === '@' && next && next.type === 'identifier' && next.start === token.end) return 'tok-attribute';
+                return '';
+            default:
+                return '';
+        }
+    }
+
+    // Index of the first span ({ start, end }, sorted) ending after `offset`
+    function firstEndingAfter(spans, offset) {
+        let lo = 0; let hi = spans.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (spans[mid].end <= offset) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    // Highlighted HTML of text[from, to): tokens and comments become spans (cut at the ends of the range), brackets
+    // carry their token index
+    function highlight(text, tokens, comments, from = 0, to = text.length) {
+        let html = '';
+        let pos = from;
+        let c = firstEndingAfter(comments, from);
+        const emit = (start, end, className, attrs = '') => {
+            start = Math.max(start, from);
+            end = Math.min(end, to);
+            html += escapeHTML(text.slice(pos, start));
+            const part = escapeHTML(text.slice(start, end));
+            html += className ? `<span class="${className}"${attrs}>${part}</span>` : part;
+            pos = end;
+        };
+        for (let i = firstEndingAfter(tokens, from); i < tokens.length && tokens[i].start < to; i++) {
+            for (; c < comments.length && comments[c].start < tokens[i].start; c++) emit(comments[c].start, comments[c].end, 'tok-comment');
+            const className = tokenClass(tokens, i);
+            emit(tokens[i].start, tokens[i].end, className, className === 'tok-bracket' ? ` data-token="${i}"` : '');
+        }
+        for (; c < comments.length && comments[c].start < to; c++) emit(comments[c].start, comments[c].end, 'tok-comment');
+        return html + escapeHTML(text.slice(pos, to));
+    }
+
+    // Diagnostic ranges, clipped to their first line (a whole unbalanced struct is not underlined) and to one character at least
+    function markRanges(text, diagnostics) {
+        const ranges = [];
+        for (const d of diagnostics) {
+            let start = Math.min(d.loc.start, text.length);
+            let end = Math.min(d.loc.end, text.length);
+            const lineEnd = text.indexOf('\n', start);
+            if (lineEnd >= 0 && end > lineEnd) end = lineEnd;
+            if (end <= start) {
+                if (start < text.length && text[start] !== '\n') end = start + 1;
+                else if (start > 0 && text[start - 1] !== '\n') start -= 1;
+                else continue;
+                end = Math.max(end, start + 1);
+            }
+            ranges.push({ start, end, diagnostic: d });
+        }
+        return ranges.sort((a, b) => a.start - b.start);
+    }
+
+    function attach(textarea) {
+        const editor = document.createElement('div');
+        editor.className = 'code-editor';
+        const gutter = document.createElement('div');
+        gutter.className = 'code-gutter';
+        gutter.setAttribute('aria-hidden', 'true');
+        const lineNumbers = document.createElement('pre');
+        gutter.appendChild(lineNumbers);
+        const area = document.createElement('div');
+        area.className = 'code-area';
+        const marks = document.createElement('pre');
+        marks.className = 'code-layer code-marks';
+        const colors = document.createElement('pre');
+        colors.className = 'code-layer code-colors';
+        for (const layer of [marks, colors]) layer.setAttribute('aria-hidden', 'true');
+        textarea.replaceWith(editor);
+        area.append(marks, colors, textarea);
+        editor.append(gutter, area);
+        textarea.wrap = 'off';
+
+        let text = '';
+        let tokens = [];
+        let comments = [];
+        let lineStarts = [0];
+        let diagnostics = [];
+        let ranges = [];
+        let frame = 0;
+        let active = [];
+        // Lines [first, last) drawn in the layers, which are moved down by `top` pixels
+        let drawn = { first: 0, last: 0, top: 0 };
+
+        function syncScroll() {
+            const shift = `translate(${-textarea.scrollLeft}px, ${drawn.top - textarea.scrollTop}px)`;
+            marks.style.transform = shift;
+            colors.style.transform = shift;
+            lineNumbers.style.transform = `translateY(${drawn.top - textarea.scrollTop}px)`;
+        }
+
+        // Lines [top, bottom) in view, and the line height in pixels
+        function visibleLines() {
+            const lineHeight = parseFloat(getComputedStyle(colors).lineHeight) || 20;
+            const top = Math.floor(textarea.scrollTop / lineHeight);
+            return { top, bottom: Math.ceil((textarea.scrollTop + textarea.clientHeight) / lineHeight), lineHeight };
+        }
+
+        const lineOffset = line => (line < lineStarts.length ? lineStarts[line] : text.length);
+
+        // Highlighted text, squiggles and line numbers of the lines in view
+        function draw() {
+            const { top, bottom, lineHeight } = visibleLines();
+            const first = Math.max(0, top - OVERSCAN);
+            const last = Math.min(lineStarts.length, bottom + OVERSCAN);
+            drawn = { first, last, top: first * lineHeight };
+            const from = lineOffset(first);
+            const to = lineOffset(last);
+            // A trailing newline needs a line of its own to keep the layers as tall as the text
+            colors.innerHTML = highlight(text, tokens, comments, from, to) + '\n ';
+            let html = '';
+            let pos = from;
+            for (const r of ranges) {
+                if (r.start < pos || r.start >= to) continue;
+                html += escapeHTML(text.slice(pos, r.start));
+                html += `<mark class="squiggle ${r.diagnostic.severity}">${escapeHTML(text.slice(r.start, Math.min(r.end, to)))}</mark>`;
+                pos = Math.min(r.end, to);
+            }
+            marks.innerHTML = html + escapeHTML(text.slice(pos, to)) + '\n ';
+            lineNumbers.textContent = Array.from({ length: last - first }, (_, i) => first + i + 1).join('\n');
+            // As wide as the largest number, wherever the view is
+            lineNumbers.style.minWidth = `${String(lineStarts.length).length}ch`;
+            active = [];
+            updateCaret();
+            syncScroll();
+        }
+
+        function render() {
+            frame = 0;
+            text = textarea.value;
+            ({ tokens, comments } = SwiftUITokenizer.tokenize(text));
+            lineStarts = [0];
+            for (let i = text.indexOf('\n'); i >= 0; i = text.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+            ranges = markRanges(text, diagnostics);
+            draw();
+        }
+
+        // Scrolling past the drawn lines draws the ones now in view
+        function onScroll() {
+            const { top, bottom } = visibleLines();
+            if (top < drawn.first || Math.min(bottom, lineStarts.length) > drawn.last) draw();
+            else syncScroll();
+        }
+
+        // Index of the first token ending after `offset`
+        const tokenAfter = offset => firstEndingAfter(tokens, offset);
+
+        // Bracket next to the caret (the one after it first) and its partner; diagnostics under the caret in the tooltip
+        function updateCaret() {
+            for (const span of active) span.classList.remove('bracket-match', 'bracket-unmatched');
+            active = [];
+            const caret = textarea.selectionStart;
+            if (caret === textarea.selectionEnd) {
+                const i = tokenAfter(caret);
+                const candidates = [i, i - 1].filter(k => tokens[k] && BRACKETS.includes(tokens[k].text)
+                    && (k === i ? tokens[k].start === caret : tokens[k].end === caret));
+                const k = candidates[0];
+                if (k !== undefined) {
+                    const span = colors.querySelector(`[data-token="${k}"]`);
+                    const partner = tokens[k].match >= 0 ? colors.querySelector(`[data-token="${tokens[k].match}"]`) : null;
+                    active = [span, partner].filter(Boolean);
+                    for (const el of active) el.classList.add(partner ? 'bracket-match' : 'bracket-unmatched');
+                }
+            }
+            const here = ranges.filter(r => caret >= r.start && caret <= r.end).map(r => r.diagnostic.message);
+            textarea.title = here.join('\n');
+        }
+
+        function refresh() {
+            if (!frame) frame = requestAnimationFrame(render);
+        }
+
+        textarea.addEventListener('input', refresh);
+        textarea.addEventListener('scroll', onScroll);
+        if (typeof ResizeObserver !== 'undefined') new ResizeObserver(onScroll).observe(textarea);
+        for (const type of ['keyup', 'mouseup', 'select', 'focus']) textarea.addEventListener(type, updateCaret);
+        render();
+
+        return {
+            refresh,
+            // Diagnostics of the text in the editor ({ severity, message, loc }); offsets are those of the current value
+            setDiagnostics(list) {
+                diagnostics = list;
+                ranges = markRanges(text, diagnostics);
+                draw();
+            },
+        };
+    }
+
+    window.SwiftUIEditor = { attach };
+})();
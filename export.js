@@ -0,0 +1,241 @@
+// Serializers for a parsed view hierarchy (the tree returned by buildTreeForRoot)
+// Formats: Mermaid flowchart, Graphviz DOT, PlantUML (WBS), nested Markdown list,
+// JSON (see schema/swiftui-tree.schema.json) and a standalone SVG drawing.
+// Usable from the page (window.SwiftUIExport) and from Node (module.exports).
+
+(function () {
+    const SCHEMA_URL = 'https://peterpanswift.github.io/swiftui-view-hierarchy/schema/swiftui-tree.schema.json';
+    const SCHEMA_VERSION = 2;
+
+    // Node kinds whose props describe a condition rather than call arguments
+    const CONTROL_KINDS = ['If', 'Guard', 'Switch', 'Case', 'CompileIf', 'Branch'];
+
+    // Walk a tree depth-first, giving each node a stable id (n0, n1, ...) in visit order
+    function walk(tree, visit) {
+        let next = 0;
+        (function rec(node, parent, depth) {
+            const id = `n${next++}`;
+            visit(node, id, parent, depth);
+            for (const child of node.children || []) rec(child, id, depth + 1);
+        })(tree, null, 0);
+    }
+
+    // `Name(props)` for a node; control-flow nodes keep their name only
+    function nodeTitle(node) {
+        const props = node.props && node.props.length && !CONTROL_KINDS.includes(node.kind) ? `(${node.props.join(', ')})` : '';
+        return `${node.name}${props}`;
+    }
+
+    // `text ⇒ value` for a prop or modifier with a value bound from the call site (same label dropped)
+    function withResolved(text, resolved) {
+        if (!resolved || resolved === text) return text;
+        const label = /^\w+: /.exec(text);
+        return `${text} ⇒ ${label && resolved.startsWith(label[0]) ? resolved.slice(label[0].length) : resolved}`;
+    }
+
+    // One-line label: name(props) [Kind] .modifier .modifier, with bound values as `title ⇒ "Hello"`
+    function nodeLabel(node) {
+        const resolvedProps = node.resolvedProps || [];
+        const props = node.props && node.props.length && !CONTROL_KINDS.includes(node.kind)
+            ? `(${node.props.map((p, i) => withResolved(p, resolvedProps[i])).join(', ')})` : '';
+        let label = `${node.name}${props}`;
+        if (node.kind && !['View', 'Container', 'Branch'].includes(node.kind)) label += ` [${node.kind}]`;
+        if (node.recursive) label += ' /* recursion */';
+        (node.modifiers || []).forEach((m, i) => {
+            const resolved = node.resolvedModifiers && node.resolvedModifiers[i];
+            label += resolved ? ` .${m.text} ⇒ .${resolved}` : ` .${m.text}`;
+        });
+        return label;
+    }
+
+    // Label lines used by the graph formats: title, kind, then one line per modifier
+    function labelLines(node) {
+        const lines = [nodeTitle(node)];
+        if (node.kind && !['View', 'Container'].includes(node.kind)) lines.push(`«${node.kind}»`);
+        if (node.recursive) lines.push('/* recursion */');
+        for (const m of node.modifiers || []) lines.push(`.${m.text}`);
+        return lines;
+    }
+
+    function toMermaid(tree, options = {}) {
+        const escape = text => text.replace(/#/g, '#35;').replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+        const shape = (node, label) => {
+            if (node.kind === 'If' || node.kind === 'Guard' || node.kind === 'Switch' || node.kind === 'CompileIf') return `{"${label}"}`;
+            if (node.kind === 'Branch' || node.kind === 'Case') return `(["${label}"])`;
+            if (node.kind === 'CustomView') return `[["${label}"]]`;
+            return `["${label}"]`;
+        };
+        const out = [`flowchart ${options.direction || 'TD'}`];
+        walk(tree, (node, id, parent) => {
+            out.push(`    ${id}${shape(node, labelLines(node).map(escape).join('<br/>'))}`);
+            if (parent) out.push(`    ${parent} --> ${id}`);
+        });
+        return out.join('\n') + '\n';
+    }
+
+    function toDot(tree, options = {}) {
+        const escape = text => text.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+        const shapes = { If: 'diamond', Guard: 'diamond', Switch: 'diamond', CompileIf: 'diamond', Branch: 'ellipse', Case: 'ellipse' };
+        const out = [
+            `digraph ${JSON.stringify(options.name || 'SwiftUI')} {`,
+            '    rankdir=TB;',
+            '    node [shape=box, style=rounded, fontname="Helvetica", fontsize=11];',
+        ];
+        walk(tree, (node, id, parent) => {
+            const attrs = [`label="${labelLines(node).map(escape).join('\\n')}"`];
+            if (shapes[node.kind]) attrs.push(`shape=${shapes[node.kind]}`);
+            if (node.kind === 'CustomView') attrs.push('style="rounded,bold"');
+            out.push(`    ${id} [${attrs.join(', ')}];`);
+            if (parent) out.push(`    ${parent} -> ${id};`);
+        });
+        out.push('}');
+        return out.join('\n') + '\n';
+    }
+
+    // PlantUML work breakdown structure: one `*` per depth level, multi-line labels use `:...;`
+    function toPlantUML(tree) {
+        const out = ['@startwbs'];
+        walk(tree, (node, id, parent, depth) => {
+            const lines = labelLines(node);
+            const stars = '*'.repeat(depth + 1);
+            out.push(lines.length === 1 ? `${stars} ${lines[0]}` : `${stars}:${lines.join('\n')};`);
+        });
+        out.push('@endwbs');
+        return out.join('\n') + '\n';
+    }
+
+    function toMarkdown(tree) {
+        const escape = text => text.replace(/([\\`*_[\]<>])/g, '\\$1');
+        const code = text => '`' + text.replace(/`/g, "'") + '`';
+        const out = [];
+        walk(tree, (node, id, parent, depth) => {
+            let line = `${'  '.repeat(depth)}- **${escape(node.name)}**`;
+            if (node.props && node.props.length && !CONTROL_KINDS.includes(node.kind)) line += ` ${code(`(${node.props.join(', ')})`)}`;
+            if (node.kind && !['View', 'Container'].includes(node.kind)) line += ` _${node.kind}_`;
+            if (node.recursive) line += ' _(recursion)_';
+            if (node.modifiers && node.modifiers.length) line += ' · ' + node.modifiers.map(m => code(`.${m.text}`)).join(' ');
+            out.push(line);
+        });
+        return out.join('\n') + '\n';
+    }
+
+    // Plain JSON following schema/swiftui-tree.schema.json (internal parser fields are dropped)
+    function toJSONObject(tree, options = {}) {
+        const doc = { $schema: SCHEMA_URL, version: SCHEMA_VERSION, root: options.root || tree.name };
+        if (options.file) doc.file = options.file;
+        doc.tree = exportNode(tree);
+        return doc;
+    }
+
+    function exportNode(node) {
+        const out = { kind: node.kind || 'View', name: node.name, props: node.props || [] };
+        if (node.args) out.args = node.args.map(arg => exportArg(arg, false));
+        out.modifiers = (node.modifiers || []).map(exportModifier);
+        if (node.resolvedProps) out.resolvedProps = node.resolvedProps;
+        if (node.resolvedModifiers) out.resolvedModifiers = node.resolvedModifiers;
+        if (node.bindings) out.bindings = node.bindings;
+        if (node.member) out.member = node.member;
+        if (node.rootState) out.rootState = node.rootState.map(exportState);
+        if (node.state) out.state = node.state.map(exportState);
+        if (node.stateUses) out.stateUses = node.stateUses;
+        if (node.recursive) out.recursive = true;
+        if (node.inlined) out.inlined = true;
+        if (node.file) out.file = node.file;
+        if (node.loc) out.loc = exportLoc(node.loc);
+        out.children = (node.children || []).map(exportNode);
+        return out;
+    }
+
+    function exportModifier(mod) {
+        const out = { name: mod.name, text: mod.text, args: mod.args.map(arg => exportArg(arg, true)) };
+        out.closures = mod.closures.map(closure => exportArg(closure, true));
+        if (mod.loc) out.loc = exportLoc(mod.loc);
+        return out;
+    }
+
+    // Call arguments and closures; the views of a view's own closure arguments are already in `children`
+    function exportArg(arg, withViews) {
+        const out = { label: arg.label, value: arg.value };
+        if (arg.resolved !== undefined) out.resolved = arg.resolved;
+        if (withViews && arg.children) out.children = arg.children.map(exportNode);
+        return out;
+    }
+
+    function exportState(entry) {
+        return entry.loc ? { ...entry, loc: exportLoc(entry.loc) } : entry;
+    }
+
+    function exportLoc(loc) {
+        const { start, end, line, column, endLine, endColumn, file } = loc;
+        const out = { start, end, line, column, endLine, endColumn };
+        if (file !== undefined) out.file = file;
+        return out;
+    }
+
+    function toJSON(tree, options = {}) {
+        return JSON.stringify(toJSONObject(tree, options), null, 2) + '\n';
+    }
+
+    // Standalone SVG: an indented outline of rounded boxes with elbow connectors, like the page's tree
+    function toSVG(tree, options = {}) {
+        const rowHeight = 30; const indent = 24; const pad = 12; const fontSize = 12;
+        const colors = { text: '#f3f6ff', muted: '#b7c1df', kind: '#ffe49a', box: '#0f1730', border: '#1b2547', line: '#3a4677', background: options.background || '#0b1030' };
+        const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        // Rough text width: wide (CJK/emoji) characters count double
+        const textWidth = text => Array.from(text).reduce((w, ch) => w + (ch.charCodeAt(0) > 0x2e80 ? 2 : 1), 0) * fontSize * 0.6;
+        const rows = [];
+        walk(tree, (node, id, parent, depth) => rows.push({ node, id, parent, depth }));
+        const byId = new Map(rows.map((r, i) => [r.id, { ...r, index: i }]));
+        let width = 0;
+        const body = [];
+        rows.forEach((r, i) => {
+            const x = pad + r.depth * indent; const y = pad + i * rowHeight;
+            const kind = r.node.kind || 'View';
+            const title = nodeTitle(r.node);
+            const mods = (r.node.modifiers || []).map(m => `.${m.text}`).join(' ');
+            const kindW = textWidth(kind) + 12;
+            const boxW = kindW + textWidth(title) + (mods ? textWidth(mods) + 12 : 0) + 20;
+            width = Math.max(width, x + boxW + pad);
+            if (r.parent) {
+                const p = byId.get(r.parent);
+                const px = pad + p.depth * indent + 8; const py = pad + p.index * rowHeight + rowHeight - 6;
+                body.push(`<path d="M${px} ${py} V${y + rowHeight / 2 - 2} H${x}" fill="none" stroke="${colors.line}" stroke-dasharray="3 3"/>`);
+            }
+            body.push(`<g><rect x="${x}" y="${y}" width="${boxW.toFixed(1)}" height="${rowHeight - 6}" rx="6" fill="${colors.box}" stroke="${colors.border}"/>`
+                + `<text x="${x + 8}" y="${y + 16}" font-size="${fontSize - 1}" fill="${colors.kind}">${escape(kind)}</text>`
+                + `<text x="${(x + 8 + kindW).toFixed(1)}" y="${y + 16}" font-size="${fontSize}" font-weight="700" fill="${colors.text}">${escape(title)}</text>`
+                + (mods ? `<text x="${(x + 8 + kindW + textWidth(title) + 12).toFixed(1)}" y="${y + 16}" font-size="${fontSize - 1}" fill="${colors.muted}">${escape(mods)}</text>` : '')
+                + '</g>');
+        });
+        const height = pad * 2 + rows.length * rowHeight;
+        width = Math.ceil(width);
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="ui-monospace, Menlo, Consolas, monospace">\n`
+            + `<rect width="100%" height="100%" fill="${colors.background}"/>\n${body.join('\n')}\n</svg>\n`;
+    }
+
+    // Format id -> { label, extension, mime, serialize }
+    const FORMATS = {
+        mermaid: { label: 'Mermaid', extension: 'mmd', mime: 'text/plain', serialize: toMermaid },
+        dot: { label: 'Graphviz DOT', extension: 'dot', mime: 'text/vnd.graphviz', serialize: toDot },
+        plantuml: { label: 'PlantUML', extension: 'puml', mime: 'text/plain', serialize: toPlantUML },
+        markdown: { label: 'Markdown', extension: 'md', mime: 'text/markdown', serialize: toMarkdown },
+        json: { label: 'JSON', extension: 'json', mime: 'application/json', serialize: toJSON },
+        svg: { label: 'SVG', extension: 'svg', mime: 'image/svg+xml', serialize: toSVG },
+    };
+
+    // Public API (browser + Node)
+    const SwiftUIExportAPI = {
+        FORMATS,
+        SCHEMA_VERSION,
+        nodeLabel,
+        toMermaid,
+        toDot,
+        toPlantUML,
+        toMarkdown,
+        toJSON,
+        toJSONObject,
+        toSVG,
+    };
+    if (typeof window !== 'undefined') window.SwiftUIExport = SwiftUIExportAPI;
+    if (typeof module !== 'undefined' && module.exports) module.exports = SwiftUIExportAPI;
+})();
@@ -0,0 +1,73 @@
+// Modifier layers of a view (a node of the tree returned by buildTreeForRoot)
+// In SwiftUI every modifier wraps the view it is applied to, so `.padding().background(.white)` and
+// `.background(.white).padding()` are different views. layersOf(node, hidden) lists the node's modifiers from the
+// outermost (applied last) to the innermost: [{ modifier, index, category, views, behind }]
+// - category: one of CATEGORIES (see categoryOf); layers of the categories in `hidden` are left out
+// - views: the views the modifier carries (`.overlay { Badge() }`, `.background(Color.red)`, `.toolbar { ... }`);
+//   `behind` when they are drawn under the wrapped view (.background)
+// Usable from the page (window.SwiftUILayers) and from Node (module.exports).
+
+(function () {
+    const CATEGORIES = [
+        { id: 'layout', label: '版面' },
+        { id: 'style', label: '外觀' },
+        { id: 'accessibility', label: '輔助使用' },
+        { id: 'gesture', label: '手勢' },
+        { id: 'lifecycle', label: '生命週期' },
+        { id: 'other', label: '其他' },
+    ];
+
+    const LAYOUT = [
+        'padding', 'frame', 'fixedSize', 'offset', 'position', 'layoutPriority', 'aspectRatio', 'scaledToFit', 'scaledToFill',
+        'resizable', 'ignoresSafeArea', 'edgesIgnoringSafeArea', 'safeAreaInset', 'safeAreaPadding', 'alignmentGuide',
+        'zIndex', 'containerRelativeFrame', 'contentMargins', 'gridCellColumns', 'gridCellAnchor', 'gridColumnAlignment',
+        'listRowInsets', 'coordinateSpace', 'scrollTargetLayout', 'minimumScaleFactor',
+    ];
+    const STYLE = [
+        'font', 'fontWeight', 'fontDesign', 'fontWidth', 'bold', 'italic', 'monospaced', 'foregroundColor', 'foregroundStyle',
+        'tint', 'accentColor', 'background', 'overlay', 'border', 'cornerRadius', 'clipShape', 'clipped', 'mask', 'shadow',
+        'opacity', 'blur', 'brightness', 'contrast', 'saturation', 'grayscale', 'colorMultiply', 'colorInvert',
+        'hueRotation', 'blendMode', 'compositingGroup', 'drawingGroup', 'scaleEffect', 'rotationEffect',
+        'rotation3DEffect', 'lineLimit', 'lineSpacing', 'multilineTextAlignment', 'textCase', 'kerning', 'tracking',
+        'underline', 'strikethrough', 'symbolRenderingMode', 'symbolVariant', 'imageScale', 'fill', 'stroke',
+        'strokeBorder', 'preferredColorScheme', 'animation', 'transition', 'controlSize', 'listRowBackground',
+        'scrollContentBackground', 'hidden', 'redacted', 'labelsHidden',
+    ];
+    const GESTURE = [
+        'onTapGesture', 'onLongPressGesture', 'gesture', 'simultaneousGesture', 'highPriorityGesture', 'onDrag', 'onDrop',
+        'draggable', 'dropDestination', 'contentShape', 'allowsHitTesting', 'onHover', 'hoverEffect', 'disabled',
+        'swipeActions', 'contextMenu',
+    ];
+    const LIFECYCLE = [
+        'onAppear', 'onDisappear', 'task', 'onChange', 'onReceive', 'onOpenURL', 'refreshable', 'onSubmit',
+        'onContinueUserActivity', 'onScrollGeometryChange', 'onScrollVisibilityChange', 'onGeometryChange',
+    ];
+    // Modifiers whose views are drawn under the view they wrap
+    const BEHIND = ['background'];
+
+    // Category of a modifier by name; `on...` handlers not listed otherwise count as lifecycle
+    function categoryOf(name) {
+        if (LAYOUT.includes(name)) return 'layout';
+        if (STYLE.includes(name) || /Style$/.test(name)) return 'style';
+        if (/^accessibility/.test(name) || name === 'help') return 'accessibility';
+        if (GESTURE.includes(name) || /Gesture$/.test(name)) return 'gesture';
+        if (LIFECYCLE.includes(name) || /^on[A-Z]/.test(name)) return 'lifecycle';
+        return 'other';
+    }
+
+    function layersOf(node, hidden = []) {
+        const skip = new Set(hidden);
+        const layers = [];
+        (node.modifiers || []).forEach((modifier, index) => {
+            const category = categoryOf(modifier.name);
+            if (skip.has(category)) return;
+            const views = [...modifier.args, ...modifier.closures].flatMap(part => part.children || []);
+            layers.push({ modifier, index, category, views, behind: BEHIND.includes(modifier.name) });
+        });
+        return layers.reverse();
+    }
+
+    const SwiftUILayersAPI = { CATEGORIES, categoryOf, layersOf };
+    if (typeof window !== 'undefined') window.SwiftUILayers = SwiftUILayersAPI;
+    if (typeof module !== 'undefined' && module.exports) module.exports = SwiftUILayersAPI;
+})();
@@ -0,0 +1,124 @@
+// Lint rules for a view hierarchy (the tree returned by buildTreeForRoot)
+// Each rule: { id, description, severity, options?, selector? | check(node, ancestors, options) }
+// - selector: a query.js selector; every matching node is reported with `message`
+// - check: returns a message (or null) for a node; `ancestors` runs from the root to the node's parent
+// Configuration maps rule ids to false / 'off', true, a severity ('info' | 'warning' | 'error'),
+// or { severity, ...options } (e.g. { 'max-stack-depth': { max: 5 } }).
+// Usable from the page (window.SwiftUILint) and from Node (module.exports).
+
+(function () {
+    const SwiftUIQuery = typeof window !== 'undefined' && window.SwiftUIQuery ? window.SwiftUIQuery : require('./query.js');
+
+    const STACKS = ['VStack', 'HStack', 'ZStack', 'LazyVStack', 'LazyHStack'];
+    const SEVERITIES = ['info', 'warning', 'error'];
+    // Modifiers whose content is laid out apart from the containers around the modified view (see lint)
+    const DETACHED_MODIFIERS = ['sheet', 'fullScreenCover', 'popover', 'navigationDestination', 'background', 'overlay'];
+
+    const RULES = [
+        {
+            id: 'no-any-view',
+            description: '避免 AnyView',
+            severity: 'warning',
+            selector: 'AnyView',
+            message: 'AnyView 會抹除型別，SwiftUI 無法有效比對差異；可改用 @ViewBuilder 或 Group',
+        },
+        {
+            id: 'no-geometry-reader-in-scroll-view',
+            description: 'ScrollView 內的 GeometryReader',
+            severity: 'warning',
+            selector: 'ScrollView GeometryReader',
+            message: 'GeometryReader 在 ScrollView 中會取得捲動方向上無限制/為零的尺寸，版面常會出錯',
+        },
+        {
+            id: 'no-list-in-scroll-view',
+            description: 'ScrollView 內的 List',
+            severity: 'warning',
+            selector: 'ScrollView List',
+            message: 'List 本身就會捲動，放在 ScrollView 內高度會塌成 0 或無法捲動',
+        },
+        {
+            id: 'max-stack-depth',
+            description: 'Stack 巢狀過深',
+            severity: 'warning',
+            options: { max: 4 },
+            check(node, ancestors, options) {
+                if (!STACKS.includes(node.name)) return null;
+                const depth = ancestors.filter(a => STACKS.includes(a.name)).length + 1;
+                // Only the stack crossing the limit is reported, not everything below it
+                return depth === options.max + 1 ? `Stack 巢狀深度超過 ${options.max} 層，考慮拆成自訂 View` : null;
+            },
+        },
+        {
+            id: 'image-accessibility-label',
+            description: 'Image 缺少 accessibilityLabel',
+            severity: 'warning',
+            check(node) {
+                if (node.name !== 'Image' || node.kind === 'CustomView') return null;
+                if ((node.args || []).some(a => a.label === 'decorative')) return null;
+                const mods = (node.modifiers || []).map(m => m.name);
+                if (mods.includes('accessibilityLabel') || mods.includes('accessibilityHidden')) return null;
+                return 'Image 沒有 .accessibilityLabel(...)；純裝飾用圖片請用 Image(decorative:) 或 .accessibilityHidden(true)';
+            },
+        },
+        {
+            id: 'padding-after-background',
+            description: '.padding() 在 .background() 之後',
+            severity: 'info',
+            check(node) {
+                const names = (node.modifiers || []).map(m => m.name);
+                const background = names.indexOf('background');
+                if (background < 0 || names.indexOf('padding', background) < 0) return null;
+                return '.padding() 套在 .background() 之後，背景不包含內距；若要背景包住內距請對調順序';
+            },
+        },
+    ];
+
+    // Effective { enabled, severity, options } of a rule under `config`
+    function ruleSettings(rule, config = {}) {
+        const value = config[rule.id];
+        const settings = { enabled: true, severity: rule.severity, options: { ...rule.options } };
+        if (value === false || value === 'off') settings.enabled = false;
+        else if (SEVERITIES.includes(value)) settings.severity = value;
+        else if (value && typeof value === 'object') {
+            const { severity, enabled, ...options } = value;
+            if (enabled === false || severity === 'off') settings.enabled = false;
+            if (SEVERITIES.includes(severity)) settings.severity = severity;
+            Object.assign(settings.options, options);
+        }
+        return settings;
+    }
+
+    // Run the enabled rules over the tree, including views inside modifiers (`.overlay { ... }`).
+    // Content presented on its own (.sheet, .popover, ...) or sized by the view it decorates (.background, .overlay)
+    // does not live in the containers around that view: rules see it with no ancestors, findings keep the full path.
+    // Returns [{ rule, severity, message, node, path, loc }] in tree order.
+    function lint(tree, config = {}) {
+        const active = RULES.map(rule => ({ rule, ...ruleSettings(rule, config) })).filter(r => r.enabled);
+        for (const r of active) if (r.rule.selector) r.selectors = SwiftUIQuery.parse(r.rule.selector);
+        const findings = [];
+        (function walk(node, ancestors, trail) {
+            for (const { rule, severity, options, selectors } of active) {
+                const message = selectors
+                    ? (SwiftUIQuery.matches(selectors, node, ancestors) ? rule.message : null)
+                    : rule.check(node, ancestors, options);
+                if (!message) continue;
+                const finding = { rule: rule.id, severity, message, node, path: [...trail, node].map(n => n.name).join(' › ') };
+                if (node.loc) finding.loc = node.loc;
+                findings.push(finding);
+            }
+            const path = [...ancestors, node];
+            const fullPath = [...trail, node];
+            for (const mod of node.modifiers || []) {
+                const scope = DETACHED_MODIFIERS.includes(mod.name) ? [] : path;
+                for (const part of [...mod.args, ...mod.closures]) for (const child of part.children || []) walk(child, scope, fullPath);
+            }
+            for (const child of node.children || []) walk(child, path, fullPath);
+        })(tree, [], []);
+        return findings;
+    }
+
+    // Public API (browser + Node)
+    const SwiftUILintAPI = { RULES, SEVERITIES, ruleSettings, lint };
+    if (typeof window !== 'undefined') window.SwiftUILint = SwiftUILintAPI;
+    if (typeof module !== 'undefined' && module.exports) module.exports = SwiftUILintAPI;
+})();
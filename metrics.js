@@ -0,0 +1,125 @@
+// Size and complexity metrics of a view hierarchy (the tree returned by buildTreeForRoot)
+// - totals: nodes, maximum depth, containers, leaves, conditionals (if / guard / switch / #if) and their branches;
+//   views inside modifiers (`.sheet { ... }`, `.overlay { ... }`) count one level below the node they modify
+// - modifiers: how often each modifier is applied; customViews: how often each custom view is inlined
+// - structs: per struct (the root view and every inlined custom view) its own nodes, depth, branches,
+//   modifiers and a complexity score; views inlined from other structs count as one node
+// Entries keep the nodes they count (`nodes`, for structs `uses`) for linking back to the tree; toJSON / toCSV drop them.
+// Usable from the page (window.SwiftUIMetrics) and from Node (module.exports).
+
+(function () {
+    const CONDITIONAL_KINDS = ['If', 'Guard', 'Switch', 'CompileIf'];
+    const BRANCH_KINDS = ['Branch', 'Case'];
+    // score = nodes + modifiers + BRANCH_WEIGHT × branches + DEPTH_WEIGHT × depth
+    const BRANCH_WEIGHT = 2;
+    const DEPTH_WEIGHT = 1;
+
+    function computeMetrics(tree, options = {}) {
+        const root = options.root || tree.name;
+        const totals = { nodes: 0, maxDepth: 0, containers: 0, leaves: 0, conditionals: 0, branches: 0, modifiers: 0 };
+        const modifiers = new Map();
+        const customViews = new Map();
+        const structs = new Map();
+        const entry = (map, name) => {
+            if (!map.has(name)) map.set(name, { name, count: 0, nodes: [] });
+            return map.get(name);
+        };
+
+        // `owner` is the struct whose body the node is written in; each struct is measured at its first use
+        function visit(node, depth, owner, ownDepth) {
+            // Nodes removed in compare mode are not part of the current hierarchy
+            if (node.diff && node.diff.status === 'removed') return;
+            const children = node.children || [];
+            totals.nodes++;
+            totals.maxDepth = Math.max(totals.maxDepth, depth);
+            if (node.kind === 'Container') totals.containers++;
+            if (!children.length) totals.leaves++;
+            if (CONDITIONAL_KINDS.includes(node.kind)) totals.conditionals++;
+            if (BRANCH_KINDS.includes(node.kind)) totals.branches++;
+            for (const mod of node.modifiers || []) {
+                totals.modifiers++;
+                const m = entry(modifiers, mod.name);
+                m.count++;
+                if (!m.nodes.includes(node)) m.nodes.push(node);
+            }
+            if (owner) {
+                owner.nodes++;
+                owner.maxDepth = Math.max(owner.maxDepth, ownDepth);
+                owner.modifiers += (node.modifiers || []).length;
+                if (BRANCH_KINDS.includes(node.kind)) owner.branches++;
+            }
+            let childOwner = owner;
+            let childDepth = ownDepth + 1;
+            if (node.kind === 'CustomView') {
+                const c = entry(customViews, node.name);
+                c.count++;
+                c.nodes.push(node);
+                const s = struct(node.name);
+                s.uses.push(node);
+                // Later uses of the same struct are counted in the totals but not measured again
+                childOwner = s.uses.length === 1 ? s : null;
+                childDepth = 1;
+            }
+            for (const child of children) visit(child, depth + 1, childOwner, childDepth);
+            // Modifier content is written where the modifier is applied, even on an inlined custom view
+            for (const mod of node.modifiers || []) {
+                for (const part of [...mod.args, ...mod.closures]) {
+                    for (const child of part.children || []) visit(child, depth + 1, owner, ownDepth + 1);
+                }
+            }
+        }
+
+        function struct(name) {
+            if (!structs.has(name)) structs.set(name, { name, nodes: 0, maxDepth: 0, branches: 0, modifiers: 0, uses: [] });
+            return structs.get(name);
+        }
+
+        const rootStruct = struct(root);
+        rootStruct.uses.push(tree);
+        visit(tree, 1, rootStruct, 1);
+
+        const byCount = (a, b) => b.count - a.count || a.name.localeCompare(b.name);
+        return {
+            root,
+            totals,
+            modifiers: [...modifiers.values()].sort(byCount),
+            customViews: [...customViews.values()].sort(byCount),
+            structs: [...structs.values()].map(s => ({
+                ...s,
+                score: s.nodes + s.modifiers + BRANCH_WEIGHT * s.branches + DEPTH_WEIGHT * s.maxDepth,
+                count: s.uses.length,
+            })).sort((a, b) => b.score - a.score || a.name.localeCompare(b.name)),
+        };
+    }
+
+    // Plain object without node references
+    function toJSONObject(metrics) {
+        return {
+            root: metrics.root,
+            totals: metrics.totals,
+            modifiers: metrics.modifiers.map(({ name, count }) => ({ name, count })),
+            customViews: metrics.customViews.map(({ name, count }) => ({ name, count })),
+            structs: metrics.structs.map(({ uses, ...s }) => s),
+        };
+    }
+
+    function toJSON(metrics) {
+        return JSON.stringify(toJSONObject(metrics), null, 2) + '\n';
+    }
+
+    // One row per metric: category,name,value plus the struct columns (empty for other categories)
+    function toCSV(metrics) {
+        const cell = value => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+        const rows = [['category', 'name', 'value', 'nodes', 'depth', 'branches', 'modifiers', 'uses']];
+        for (const [name, value] of Object.entries(metrics.totals)) rows.push(['total', name, value, '', '', '', '', '']);
+        for (const m of metrics.modifiers) rows.push(['modifier', m.name, m.count, '', '', '', '', '']);
+        for (const c of metrics.customViews) rows.push(['customView', c.name, c.count, '', '', '', '', '']);
+        for (const s of metrics.structs) rows.push(['struct', s.name, s.score, s.nodes, s.maxDepth, s.branches, s.modifiers, s.count]);
+        return rows.map(row => row.map(cell).join(',')).join('\n') + '\n';
+    }
+
+    // Public API (browser + Node)
+    const SwiftUIMetricsAPI = { computeMetrics, toJSON, toJSONObject, toCSV };
+    if (typeof window !== 'undefined') window.SwiftUIMetrics = SwiftUIMetricsAPI;
+    if (typeof module !== 'undefined' && module.exports) module.exports = SwiftUIMetricsAPI;
+})();
@@ -0,0 +1,275 @@
+// Screen navigation graph of a project (the viewMap of extractViews / extractProject)
+// buildGraph(viewMap) -> { nodes: [{ name, file, entry }], edges: [{ from, to, kind, loc }] }
+// - An edge goes from the view whose body contains the trigger to each custom view it presents; kind is one of
+//   KINDS: NavigationLink (destination: argument or closure), .navigationDestination, .sheet, .fullScreenCover,
+//   .popover, and the tabs of a TabView
+// - Only views of the viewMap are screens; inline content (`.sheet { Text("...") }`) has no node of its own
+// - nodes are the views with an edge; `entry` marks those nothing navigates to
+// layout(graph) places the screens in layers from the entries; render(graph, container, handlers) draws a
+// zoomable SVG (browser only).
+// Usable from the page (window.SwiftUINavigation), the parse worker and Node (module.exports).
+
+(function () {
+    const SwiftUIParser = typeof self !== 'undefined' && self.SwiftUIParser ? self.SwiftUIParser : require('./parser.js');
+
+    const KINDS = {
+        navigationLink: 'NavigationLink',
+        navigationDestination: 'navigationDestination',
+        sheet: 'sheet',
+        fullScreenCover: 'fullScreenCover',
+        popover: 'popover',
+        tab: 'Tab',
+    };
+    const MODIFIER_KINDS = ['navigationDestination', 'sheet', 'fullScreenCover', 'popover'];
+
+    // Views held by arguments / closures ({ children }) of a view or modifier
+    const partViews = parts => (parts || []).flatMap(part => part.children || []);
+
+    function buildGraph(viewMap) {
+        const edges = [];
+        const keys = new Set();
+        const isScreen = node => viewMap.has(node.name) && node.kind !== 'Scene';
+
+        // First screens in a view's content, not looking into the screens themselves
+        function screensIn(nodes) {
+            const found = [];
+            (function visit(list) {
+                for (const node of list) {
+                    if (isScreen(node)) found.push(node.name);
+                    else visit([...(node.children || []), ...partViews(node.args)]);
+                }
+            })(nodes);
+            return found;
+        }
+
+        // Screens named in a `destination: DetailView(id: item)` argument value
+        function screensInValue(arg) {
+            if (arg.children) return screensIn(arg.children);
+            const names = Array.from(arg.value.matchAll(/\b([A-Z]\w*)\s*[({]/g), m => m[1]);
+            return names.filter(name => viewMap.has(name)).slice(0, 1);
+        }
+
+        // Closure (or argument) holding a NavigationLink's destination; `value:` links are handled by
+        // .navigationDestination
+        function linkDestinations(node) {
+            const args = node.args || [];
+            if (args.some(a => a.label === 'value')) return [];
+            const destination = args.find(a => a.label === 'destination');
+            if (destination) return screensInValue(destination);
+            const closure = (node.closures || []).find(c => c.label === null);
+            return closure ? screensIn(closure.children || []) : [];
+        }
+
+        // Each struct's own body, with the views it uses left as references: triggers in it belong to `from`
+        for (const from of SwiftUIParser.collectRootCandidates(viewMap)) {
+            const tree = SwiftUIParser.buildTreeForRoot(viewMap, from, { inlineViews: false });
+            if (!tree) continue;
+            const add = (kind, targets, loc) => {
+                for (const to of targets) {
+                    const key = `${from}\n${to}\n${kind}`;
+                    if (keys.has(key)) continue;
+                    keys.add(key);
+                    edges.push({ from, to, kind, loc });
+                }
+            };
+            (function walk(node) {
+                if (node.name === 'NavigationLink') add('navigationLink', linkDestinations(node), node.loc);
+                if (node.name === 'TabView') for (const tab of node.children) add('tab', screensIn([tab]), tab.loc || node.loc);
+                for (const mod of node.modifiers || []) {
+                    if (MODIFIER_KINDS.includes(mod.name)) add(mod.name, screensIn(partViews([...mod.args, ...mod.closures])), mod.loc);
+                    partViews([...mod.args, ...mod.closures]).forEach(walk);
+                }
+                partViews(node.args).forEach(walk);
+                (node.children || []).forEach(walk);
+            })(tree);
+        }
+
+        const targets = new Set(edges.map(e => e.to));
+        const nodes = SwiftUIParser.collectRootCandidates(viewMap)
+            .filter(name => edges.some(e => e.from === name || e.to === name))
+            .map(name => ({ name, file: viewMap.get(name).file, entry: !targets.has(name) }));
+        return { nodes, edges };
+    }
+
+    const NODE_HEIGHT = 32;
+    const GAP_X = 40;
+    const GAP_Y = 80;
+    const MARGIN = 24;
+    const nodeWidth = name => Math.max(80, name.length * 7.5 + 28);
+
+    // Layers by distance from the entries (screens only reachable through a cycle start new layers at the top);
+    // each layer is ordered by its predecessors' positions. Returns { width, height, boxes: Map(name -> { x, y, w, h }) }
+    function layout(graph) {
+        const next = new Map(graph.nodes.map(n => [n.name, []]));
+        for (const e of graph.edges) if (e.from !== e.to) next.get(e.from).push(e.to);
+        const level = new Map();
+        const starts = graph.nodes.filter(n => n.entry).map(n => n.name);
+        for (const node of graph.nodes) {
+            if (level.has(node.name)) continue;
+            const queue = starts.filter(name => !level.has(name));
+            if (!queue.length) queue.push(node.name);
+            for (const name of queue) level.set(name, 0);
+            while (queue.length) {
+                const name = queue.shift();
+                for (const to of next.get(name)) {
+                    if (level.has(to)) continue;
+                    level.set(to, level.get(name) + 1);
+                    queue.push(to);
+                }
+            }
+        }
+
+        const layers = [];
+        for (const node of graph.nodes) (layers[level.get(node.name)] = layers[level.get(node.name)] || []).push(node.name);
+        const order = new Map();
+        layers.forEach((layer, depth) => {
+            if (depth > 0) {
+                const rank = name => {
+                    const from = graph.edges.filter(e => e.to === name && order.has(e.from) && level.get(e.from) < depth).map(e => order.get(e.from));
+                    return from.length ? from.reduce((a, b) => a + b, 0) / from.length : Number.MAX_SAFE_INTEGER;
+                };
+                const ranks = new Map(layer.map(name => [name, rank(name)]));
+                layer.sort((a, b) => ranks.get(a) - ranks.get(b));
+            }
+            layer.forEach((name, i) => order.set(name, i));
+        });
+
+        const rowWidth = layer => layer.reduce((sum, name) => sum + nodeWidth(name), 0) + GAP_X * (layer.length - 1);
+        const width = Math.max(0, ...layers.map(rowWidth)) + MARGIN * 2;
+        const boxes = new Map();
+        layers.forEach((layer, depth) => {
+            let x = (width - rowWidth(layer)) / 2;
+            for (const name of layer) {
+                boxes.set(name, { x, y: MARGIN + depth * (NODE_HEIGHT + GAP_Y), w: nodeWidth(name), h: NODE_HEIGHT });
+                x += nodeWidth(name) + GAP_X;
+            }
+        });
+        return { width, height: MARGIN * 2 + layers.length * NODE_HEIGHT + Math.max(0, layers.length - 1) * GAP_Y, boxes };
+    }
+
+    // Path of an edge: downwards from the bottom to the top of the boxes, otherwise a curve around the right side
+    function edgePath(a, b, self) {
+        if (self) {
+            const x = a.x + a.w; const y = a.y + a.h / 2;
+            return { d: `M ${x} ${y - 8} C ${x + 40} ${y - 30}, ${x + 40} ${y + 30}, ${x} ${y + 8}`, label: { x: x + 34, y } };
+        }
+        if (b.y > a.y) {
+            const x1 = a.x + a.w / 2; const y1 = a.y + a.h; const x2 = b.x + b.w / 2; const y2 = b.y;
+            const mid = (y1 + y2) / 2;
+            return { d: `M ${x1} ${y1} C ${x1} ${mid}, ${x2} ${mid}, ${x2} ${y2}`, label: { x: (x1 + x2) / 2, y: mid } };
+        }
+        const x1 = a.x + a.w; const y1 = a.y + a.h / 2; const x2 = b.x + b.w; const y2 = b.y + b.h / 2;
+        const out = Math.max(x1, x2) + 60;
+        return { d: `M ${x1} ${y1} C ${out} ${y1}, ${out} ${y2}, ${x2} ${y2}`, label: { x: out - 15, y: (y1 + y2) / 2 } };
+    }
+
+    // Draw the graph into `container`; wheel zooms at the pointer, dragging pans.
+    // handlers: { current?: name to highlight, view?: viewBox { x, y, w, h } to start from, onSelect(name),
+    // onEdge(edge), onView(view) after zooming or panning }; returns { zoomIn, zoomOut, reset }
+    function render(graph, container, handlers = {}) {
+        const ns = 'http://www.w3.org/2000/svg';
+        const el = (tag, attrs = {}) => {
+            const node = document.createElementNS(ns, tag);
+            for (const [key, value] of Object.entries(attrs)) node.setAttribute(key, value);
+            return node;
+        };
+        container.innerHTML = '';
+        if (!graph.edges.length) {
+            container.textContent = '沒有找到 NavigationLink、navigationDestination、sheet、fullScreenCover、popover 或 TabView 分頁';
+            return;
+        }
+        const { width, height, boxes } = layout(graph);
+        const svg = el('svg', { class: 'nav-graph', viewBox: `0 0 ${width} ${height}` });
+        // One arrow head per kind, colored like its edges
+        const defs = el('defs');
+        for (const kind of Object.keys(KINDS)) {
+            const marker = el('marker', { id: `nav-arrow-${kind}`, class: `nav-edge ${kind}`, viewBox: '0 0 10 10', refX: '9', refY: '5', markerWidth: '7', markerHeight: '7', orient: 'auto-start-reverse' });
+            marker.appendChild(el('path', { d: 'M 0 0 L 10 5 L 0 10 z' }));
+            defs.appendChild(marker);
+        }
+        svg.appendChild(defs);
+
+        // Edges between the same two screens are fanned out so their labels do not overlap
+        const pairs = new Map();
+        for (const edge of graph.edges) {
+            const key = `${edge.from}\n${edge.to}`;
+            const index = pairs.get(key) || 0;
+            pairs.set(key, index + 1);
+            const path = edgePath(boxes.get(edge.from), boxes.get(edge.to), edge.from === edge.to);
+            const group = el('g', { class: `nav-edge ${edge.kind}` });
+            group.appendChild(el('path', { d: path.d, 'marker-end': `url(#nav-arrow-${edge.kind})` }));
+            const label = el('text', { x: path.label.x, y: path.label.y + index * 14, 'text-anchor': 'middle', 'dominant-baseline': 'middle' });
+            label.textContent = KINDS[edge.kind];
+            group.appendChild(label);
+            const title = el('title');
+            title.textContent = `${edge.from} → ${edge.to} (${KINDS[edge.kind]})${edge.loc ? `\n第 ${edge.loc.line} 行` : ''}`;
+            group.appendChild(title);
+            if (handlers.onEdge) group.addEventListener('click', () => handlers.onEdge(edge));
+            svg.appendChild(group);
+        }
+        for (const node of graph.nodes) {
+            const box = boxes.get(node.name);
+            const group = el('g', { class: `nav-node${node.entry ? ' entry' : ''}${node.name === handlers.current ? ' current' : ''}` });
+            group.appendChild(el('rect', { x: box.x, y: box.y, width: box.w, height: box.h, rx: '8' }));
+            const text = el('text', { x: box.x + box.w / 2, y: box.y + box.h / 2, 'text-anchor': 'middle', 'dominant-baseline': 'middle' });
+            text.textContent = node.name;
+            group.appendChild(text);
+            const title = el('title');
+            title.textContent = `${node.name}${node.file ? ` · ${node.file}` : ''}\n點擊以顯示其階層`;
+            group.appendChild(title);
+            if (handlers.onSelect) group.addEventListener('click', () => handlers.onSelect(node.name));
+            svg.appendChild(group);
+        }
+        container.appendChild(svg);
+
+        // Zoom and pan by changing the viewBox
+        let view = handlers.view || { x: 0, y: 0, w: width, h: height };
+        const apply = () => {
+            svg.setAttribute('viewBox', `${view.x} ${view.y} ${view.w} ${view.h}`);
+            if (handlers.onView) handlers.onView(view);
+        };
+        apply();
+        const zoom = (factor, cx = view.x + view.w / 2, cy = view.y + view.h / 2) => {
+            const w = Math.min(width * 4, Math.max(width / 8, view.w * factor));
+            const h = view.h * (w / view.w);
+            view = { x: cx - (cx - view.x) * (w / view.w), y: cy - (cy - view.y) * (h / view.h), w, h };
+            apply();
+        };
+        const toView = e => {
+            const rect = svg.getBoundingClientRect();
+            return { x: view.x + (e.clientX - rect.left) / (rect.width || 1) * view.w, y: view.y + (e.clientY - rect.top) / (rect.height || 1) * view.h };
+        };
+        svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const at = toView(e);
+            zoom(e.deltaY > 0 ? 1.15 : 1 / 1.15, at.x, at.y);
+        }, { passive: false });
+        let drag = null;
+        svg.addEventListener('pointerdown', (e) => {
+            if (e.target.closest('.nav-node, .nav-edge')) return;
+            drag = { x: e.clientX, y: e.clientY, view };
+            svg.setPointerCapture?.(e.pointerId);
+            svg.classList.add('panning');
+        });
+        svg.addEventListener('pointermove', (e) => {
+            if (!drag) return;
+            const rect = svg.getBoundingClientRect();
+            const scale = drag.view.w / (rect.width || 1);
+            view = { ...drag.view, x: drag.view.x - (e.clientX - drag.x) * scale, y: drag.view.y - (e.clientY - drag.y) * scale };
+            apply();
+        });
+        const stop = () => { drag = null; svg.classList.remove('panning'); };
+        svg.addEventListener('pointerup', stop);
+        svg.addEventListener('pointercancel', stop);
+        return {
+            zoomIn: () => zoom(1 / 1.25),
+            zoomOut: () => zoom(1.25),
+            reset: () => { view = { x: 0, y: 0, w: width, h: height }; apply(); },
+        };
+    }
+
+    // Public API (browser, parse worker + Node)
+    const SwiftUINavigationAPI = { KINDS, buildGraph, layout, render };
+    if (typeof self !== 'undefined') self.SwiftUINavigation = SwiftUINavigationAPI;
+    if (typeof module !== 'undefined' && module.exports) module.exports = SwiftUINavigationAPI;
+})();
@@ -0,0 +1,23 @@
+// Web Worker that parses off the main thread, so typing in a large project never blocks the page
+// Request: { id, files: [{ name, source }], options } (see parseProject in parser.js)
+// options.components lists the custom component definitions of the page (see components.js)
+// With options.navigation the result also holds the screen navigation graph (navigation.js) in `navigation`
+// Reply: { id, result } or, when parsing throws, { id, error, diagnostics } with the problems found until then
+
+(function () {
+    importScripts('tokenizer.js', 'components.js', 'parser.js', 'navigation.js');
+
+    self.addEventListener('message', (e) => {
+        const { id, files, options } = e.data;
+        const diagnostics = [];
+        try {
+            SwiftUIComponents.configure(options.components || []);
+            const viewMap = SwiftUIParser.extractProject(files);
+            const result = SwiftUIParser.parseProject(files, { ...options, viewMap, diagnostics });
+            if (options.navigation) result.navigation = SwiftUINavigation.buildGraph(viewMap);
+            self.postMessage({ id, result });
+        } catch (err) {
+            self.postMessage({ id, error: err?.message || String(err), diagnostics });
+        }
+    });
+})();
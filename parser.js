@@ -2,448 +2,1647 @@
 // Goals:
 // - Discover struct View declarations and their body blocks
 // - Identify root container (ZStack/VStack/HStack/ScrollView etc.) and children
-// - Capture simple modifiers `.foo(...)` attached to a view literal
+// - Capture modifiers `.foo(...)` / `.foo { ... }` attached to a view literal, with their arguments and view content
 // - Inline custom view components (e.g., TitleView()) where possible
-// - Not a full Swift parser; best-effort based on regex and brace matching
+// - Not a full Swift parser; best-effort pattern matching over the tokens of tokenizer.js (strings, comments and
+//   brackets are recognized once per source, so every step sees the same structure)
+// - Report what could not be understood as diagnostics { severity, code, message, loc } and keep going:
+//   lexical problems in `viewMap.diagnostics`, problems found while building a tree in `options.diagnostics`
 
 (function () {
-    const CONTAINER_TYPES = [
-        'VStack', 'HStack', 'ZStack', 'ScrollView', 'List', 'Group', 'ForEach', 'Section', 'Form', 'TabView', 'NavigationStack', 'NavigationView', 'LazyVStack', 'LazyHStack', 'LazyVGrid', 'LazyHGrid', 'Grid', 'ZStack', 'GeometryReader', 'AnyView'
+    const SwiftUITokenizer = typeof self !== 'undefined' && self.SwiftUITokenizer ? self.SwiftUITokenizer : require('./tokenizer.js');
+    // Container and leaf types, their slots and actions (see components.js)
+    const SwiftUIComponents = typeof self !== 'undefined' && self.SwiftUIComponents ? self.SwiftUIComponents : require('./components.js');
+
+    // Scenes an App body is made of (see markScenes)
+    const SCENE_TYPES = ['WindowGroup', 'Window', 'UtilityWindow', 'DocumentGroup', 'Settings', 'MenuBarExtra', 'ImmersiveSpace'];
+
+    // Modifiers are parsed into { name, text, args: [{ label, value, children? }], closures: [{ label, value, children? }], loc }.
+    // `text` is the whole call as written (`font(.title)`, `background { ... }`) for display; values are kept in full.
+    // Closures and view-valued arguments (`.overlay(Badge())`) of these modifiers hold views and get `children`.
+    const VIEW_CONTENT_MODIFIERS = [
+        'background', 'overlay', 'mask', 'toolbar', 'safeAreaInset', 'sheet', 'fullScreenCover', 'popover', 'inspector',
+        'contextMenu', 'swipeActions', 'alert', 'confirmationDialog', 'navigationDestination', 'tabItem', 'searchSuggestions'
     ];
 
-    // Given source string, return map of viewName -> bodyContent (raw text inside { ... } of body)
-    function extractViews(source) {
+    // Given source string (and optionally its file name), return map of viewName -> view info:
+    // { name, body (raw text inside { ... } of body), bodyStart (offset of body[0] in source), source, lines, file, tokens, members }
+    // `members` maps helper names to `some View` computed properties and functions declared in the struct;
+    // `properties` lists its stored properties in declaration order (see extractStoredProperties), `state` its
+    // data-flow properties (see extractStateProperties).
+    // Custom modifiers are collected alongside: `viewMap.viewModifiers` (struct X: ViewModifier, keyed by struct
+    // name) and `viewMap.viewExtensions` (func in `extension View`, keyed by function name); `viewMap.observables`
+    // holds the names of @Observable classes. Apps and previews are roots as well (see extractEntryPoints).
+    function extractViews(source, file) {
         const viewMap = new Map();
-        // Match struct Foo: View { ... body: some View { ... } ... }
-        const structRe = /struct\s+(\w+)\s*:\s*View\s*\{/g;
+        viewMap.viewModifiers = new Map();
+        viewMap.viewExtensions = new Map();
+        viewMap.observables = new Set();
+        // Shared by every declaration found in this source
+        const { tokens, comments } = SwiftUITokenizer.tokenize(source);
+        const doc = { source, lines: computeLineStarts(source), file, tokens };
+        viewMap.diagnostics = scanSource(doc, comments);
+        // Match struct Foo: View { ... body: some View { ... } ... }, including generic
+        // `struct Card<Content: View>: View` and `where` clauses
+        const structRe = /struct\s+(\w+)\s*(<[^{]*?>)?\s*:\s*(?:[\w.]+\s*,\s*)*View\b[^{]*\{/g;
         let m;
         while ((m = structRe.exec(source))) {
+            if (!isCodeAt(doc, m.index)) continue;
             const name = m[1];
+            const generics = m[2] ? splitArgs(m[2].slice(1, -1)).map(g => g.split(':')[0].trim()) : [];
             const start = m.index + m[0].length; // position after '{'
-            const block = readBalanced(source, start - 1, '{', '}');
-            if (!block) continue;
+            const block = readBlock(doc, start - 1, m.index, `struct ${name}`, viewMap.diagnostics);
             // Find 'var body: some View { ... }' within block.inner using balanced braces
             const bodyDecl = /var\s+body\s*:\s*some\s+View\s*\{/g;
             const inner = block.inner;
-            const bm = bodyDecl.exec(inner);
-            if (bm) {
+            let bm;
+            while ((bm = bodyDecl.exec(inner)) && !isCodeAt(doc, start + bm.index));
+            if (!bm) {
+                viewMap.diagnostics.push(diagnostic('warning', 'missing-body', `struct ${name} 宣告為 View，但找不到 var body: some View { ... }`, makeLoc(m.index, start), doc));
+            } else {
                 const bracePos = bm.index + bm[0].length - 1; // position of '{'
-                const bodyBlock = readBalanced(inner, bracePos, '{', '}');
-                if (bodyBlock) {
-                    viewMap.set(name, bodyBlock.inner);
+                // A body missing its closing brace runs to the end of the (recovered) struct
+                const bodyBlock = readBalanced(doc, start + bracePos) || { inner: inner.slice(bracePos + 1) };
+                const members = extractMembers(inner, start, doc);
+                const properties = markBuilders(extractStoredProperties(inner, start, doc), generics);
+                const state = extractStateProperties(inner, start, doc);
+                const info = { name, body: bodyBlock.inner, bodyStart: start + bracePos + 1, ...doc, members, properties, state };
+                const init = extractInit(inner, start, doc);
+                if (init) {
+                    info.initParams = markBuilders(init.params, generics);
+                    info.initAssignments = init.assignments;
                 }
+                viewMap.set(name, info);
             }
         }
+        extractModifiers(doc, viewMap);
+        extractEntryPoints(doc, viewMap);
+        const observableRe = /@Observable\s+(?:(?:@\w+|public|internal|package|open|final|fileprivate|private)\s+)*class\s+(\w+)/g;
+        while ((m = observableRe.exec(source))) if (isCodeAt(doc, m.index)) viewMap.observables.add(m[1]);
         return viewMap;
     }
 
-    // Read balanced braces starting at the position of the opening brace.
-    function readBalanced(text, openPos, openChar = '{', closeChar = '}') {
-        if (text[openPos] !== openChar) return null;
-        let depth = 0; let i = openPos; const n = text.length;
-        for (; i < n; i++) {
-            const ch = text[i];
-            if (ch === '"') { // skip strings (normal or triple-quoted)
-                const end = readSwiftString(text, i);
-                i = end; continue;
-            }
-            if (ch === '/' && text[i + 1] === '/') { // line comment
-                while (i < n && text[i] !== '\n') i++;
-                continue;
+    // Roots that are not views, added to the viewMap with `entry`:
+    // - 'app': `struct MyApp: App { var body: some Scene { ... } }` (`main` for the @main one)
+    // - 'preview': `#Preview("Title") { ... }` (named `#Preview("Title")`, or `#Preview` without a title) and
+    //   `struct X_Previews: PreviewProvider { static var previews: some View { ... } }` (named X_Previews)
+    function extractEntryPoints(doc, viewMap) {
+        const source = doc.source;
+        const tokens = doc.tokens;
+        const appRe = /struct\s+(\w+)\s*:\s*(?:[\w.]+\s*,\s*)*App\b[^{]*\{/g;
+        let m;
+        while ((m = appRe.exec(source))) {
+            if (!isCodeAt(doc, m.index)) continue;
+            const start = m.index + m[0].length;
+            const block = readBlock(doc, start - 1, m.index, `struct ${m[1]}`, viewMap.diagnostics);
+            const bodyDecl = /var\s+body\s*:\s*some\s+Scene\s*\{/g;
+            let bm;
+            while ((bm = bodyDecl.exec(block.inner)) && !isCodeAt(doc, start + bm.index));
+            if (!bm) continue;
+            const open = start + bm.index + bm[0].length - 1;
+            const bodyBlock = readBalanced(doc, open) || { inner: block.inner.slice(bm.index + bm[0].length) };
+            const info = {
+                name: m[1], entry: 'app', body: bodyBlock.inner, bodyStart: open + 1, ...doc, members: extractMembers(block.inner, start, doc),
+                properties: extractStoredProperties(block.inner, start, doc), state: extractStateProperties(block.inner, start, doc),
+            };
+            if (/@main\s+(?:(?:public|internal|final)\s+)*$/.test(source.slice(Math.max(0, m.index - 64), m.index))) info.main = true;
+            addEntry(viewMap, info);
+        }
+        // Previews are added in declaration order
+        const previews = [];
+        const providerRe = /struct\s+(\w+)\s*:\s*(?:[\w.]+\s*,\s*)*PreviewProvider\b[^{]*\{/g;
+        while ((m = providerRe.exec(source))) {
+            if (!isCodeAt(doc, m.index)) continue;
+            const start = m.index + m[0].length;
+            const block = readBlock(doc, start - 1, m.index, `struct ${m[1]}`, viewMap.diagnostics);
+            const member = extractMembers(block.inner, start, doc).get('previews');
+            if (!member || member.kind !== 'property') continue;
+            previews.push({ name: m[1], entry: 'preview', body: member.body, bodyStart: member.bodyStart, ...doc, members: new Map(), properties: [], state: [] });
+        }
+        for (let i = 0; i < tokens.length; i++) {
+            if (tokens[i].type !== 'directive' || tokens[i].text !== '#Preview') continue;
+            let open = i + 1;
+            let name = '#Preview';
+            if (isGroup(tokens, open, tokens.length, '(')) {
+                const [first] = parseArgs(doc, tokens[open].end, tokens[tokens[open].match].start);
+                if (first && first.label === null && /^"/.test(first.value)) name = `#Preview(${first.value})`;
+                open = tokens[open].match + 1;
             }
-            if (ch === '/' && text[i + 1] === '*') { // block comment
-                i += 2;
-                while (i < n && !(text[i] === '*' && text[i + 1] === '/')) i++;
-                i++; continue;
+            if (!isGroup(tokens, open, tokens.length, '{')) continue;
+            const bodyStart = tokens[open].end;
+            const body = source.slice(bodyStart, tokens[tokens[open].match].start);
+            // `@Previewable @State var x = ...` declarations are the preview's state
+            previews.push({ name, entry: 'preview', body, bodyStart, ...doc, members: new Map(), properties: [], state: extractStateProperties(body, bodyStart, doc) });
+            i = tokens[open].match;
+        }
+        for (const info of previews.sort((a, b) => a.bodyStart - b.bodyStart)) addEntry(viewMap, info);
+    }
+
+    // Add an app or preview to the viewMap; a name already taken gets a number (`#Preview (2)`). `baseName`
+    // keeps the name without the number.
+    function addEntry(viewMap, info) {
+        const baseName = info.baseName || info.name;
+        let name = baseName;
+        for (let n = 2; viewMap.has(name); n++) name = `${baseName} (${n})`;
+        viewMap.set(name, { ...info, name, baseName });
+    }
+
+    // struct X: ViewModifier { func body(content: Content) -> some View { ... } } and
+    // extension View { func cardStyle() -> some View { ... } }
+    function extractModifiers(doc, viewMap) {
+        const source = doc.source;
+        const modRe = /struct\s+(\w+)\s*:\s*ViewModifier\s*\{/g;
+        let m;
+        while ((m = modRe.exec(source))) {
+            if (!isCodeAt(doc, m.index)) continue;
+            const start = m.index + m[0].length;
+            const block = readBlock(doc, start - 1, m.index, `struct ${m[1]}`, viewMap.diagnostics);
+            const members = extractMembers(block.inner, start, doc);
+            const bodyFn = members.get('body');
+            if (!bodyFn || bodyFn.kind !== 'function') continue;
+            members.delete('body');
+            // The view the modifier is applied to is the body's only parameter (usually `content`)
+            const placeholder = bodyFn.params.length ? bodyFn.params[0].name : 'content';
+            const properties = extractStoredProperties(block.inner, start, doc);
+            viewMap.viewModifiers.set(m[1], { ...bodyFn, name: m[1], kind: 'modifier', placeholder, members, properties });
+        }
+        const extRe = /extension\s+View\s*(?:where[^{]*)?\{/g;
+        while ((m = extRe.exec(source))) {
+            if (!isCodeAt(doc, m.index)) continue;
+            const start = m.index + m[0].length;
+            const block = readBlock(doc, start - 1, m.index, 'extension View', viewMap.diagnostics);
+            for (const fn of extractMembers(block.inner, start, doc).values()) {
+                if (fn.kind === 'function') viewMap.viewExtensions.set(fn.name, { ...fn, kind: 'extension', placeholder: 'self' });
             }
-            if (ch === openChar) depth++;
-            else if (ch === closeChar) {
-                depth--;
-                if (depth === 0) {
-                    return { inner: text.slice(openPos + 1, i), end: i };
-                }
+        }
+    }
+
+    // Collect `var name: some View { ... }` properties and `func name(...) -> some View { ... }` helpers
+    // (with or without @ViewBuilder) from a struct's inner text. `innerStart` is the offset of inner[0] in doc.source.
+    function extractMembers(inner, innerStart, doc) {
+        const members = new Map();
+        const declRe = /\b(var|func)\s+(\w+)\s*/g;
+        let m;
+        while ((m = declRe.exec(inner))) {
+            if (!isCodeAt(doc, innerStart + m.index)) continue;
+            const kind = m[1] === 'var' ? 'property' : 'function';
+            const name = m[2];
+            let k = m.index + m[0].length;
+            let params = [];
+            if (kind === 'function') {
+                if (inner[k] === '<') { const close = inner.indexOf('>', k); if (close < 0) continue; k = close + 1; }
+                while (/\s/.test(inner[k] || '')) k++;
+                const paramBlk = readBalanced(doc, innerStart + k);
+                if (!paramBlk) continue;
+                params = parseParams(paramBlk.inner);
+                k = paramBlk.end - innerStart + 1;
             }
+            const sig = (kind === 'property' ? /^:\s*some\s+View\s*\{/ : /^\s*->\s*some\s+View\s*\{/).exec(inner.slice(k));
+            if (!sig || (kind === 'property' && name === 'body')) continue;
+            const bracePos = k + sig[0].length - 1;
+            const blk = readBalanced(doc, innerStart + bracePos);
+            if (!blk) continue;
+            members.set(name, { name, kind, params, body: blk.inner, bodyStart: innerStart + bracePos + 1, ...doc });
+            declRe.lastIndex = blk.end - innerStart + 1; // skip nested declarations inside the member body
         }
-        return null;
+        return members;
     }
 
-    function readString(text, start) {
-        // start at quote
-        let i = start + 1; const n = text.length;
-        while (i < n) {
-            if (text[i] === '\\') { i += 2; continue; }
-            if (text[i] === '"') { return i; }
-            i++;
+    // Parse a Swift parameter clause (`_ item: Item, at index: Int = 0`) into [{ label, name, type, defaultValue, builder? }]
+    // `label` is '_' for unlabeled parameters.
+    function parseParams(paramsText) {
+        const params = [];
+        for (const part of splitArgs(paramsText)) {
+            const m = /^((?:@\w+\s+)*)(\w+)(?:\s+(\w+))?\s*:\s*([^=]+?)\s*(?:=\s*([\s\S]+))?$/.exec(part);
+            if (!m) continue;
+            const param = { label: m[2], name: m[3] || m[2], type: m[4] };
+            if (m[5] !== undefined) param.defaultValue = m[5].trim();
+            if (/@ViewBuilder\b/.test(m[1])) param.builder = true;
+            params.push(param);
         }
-        return n - 1;
+        return params;
     }
 
-    // Swift supports triple-quoted multiline strings: """ ... """
-    function readTripleQuoted(text, start) {
-        // start points at the first '"' of a sequence of 3 quotes
-        const n = text.length;
-        let i = start + 3; // skip opening """
-        while (i < n - 2) {
-            // naive scan to closing """
-            if (text[i] === '"' && text[i + 1] === '"' && text[i + 2] === '"') {
-                return i + 2; // index at last quote of closing
-            }
-            i++;
+    // Mark parameters/properties that take view content: @ViewBuilder, closures returning views,
+    // or a generic parameter of the struct (`let content: Content`)
+    function markBuilders(params, generics) {
+        for (const p of params) {
+            if (p.wrapper === 'ViewBuilder') { delete p.wrapper; p.builder = true; }
+            const type = (p.type || '').replace(/@escaping\s*/, '').trim();
+            const returns = (/->\s*([\w.]+)\s*$/.exec(type) || [])[1];
+            if (generics.includes(type) || /^some\s+View$|^AnyView$/.test(type) || (returns && (generics.includes(returns) || returns === 'AnyView'))) p.builder = true;
         }
-        return n - 1;
+        return params;
     }
 
-    function readSwiftString(text, start) {
-        if (text[start] !== '"') return start;
-        if (text[start + 1] === '"' && text[start + 2] === '"') {
-            return readTripleQuoted(text, start);
+    // Explicit `init(...) { self.x = y ... }` at the top level of a struct: its parameters and which stored
+    // property each parameter is assigned to (`self.content = content()` -> content: 'content').
+    // `innerStart` is the offset of inner[0] in doc.source.
+    function extractInit(inner, innerStart, doc) {
+        const topLevel = topLevelOffsets(doc, innerStart, innerStart + inner.length);
+        const re = /(?:^|[\s;])init\s*\(/g; let m;
+        while ((m = re.exec(inner))) {
+            const open = innerStart + m.index + m[0].length - 1;
+            if (!topLevel.has(open)) continue;
+            const paramBlk = readBalanced(doc, open);
+            if (!paramBlk) return null;
+            // The body is the first `{` token after the parameter list (past `throws`, `async`, ...)
+            const tokens = doc.tokens; const limit = tokenIndex(tokens, innerStart + inner.length);
+            let i = tokenIndex(tokens, paramBlk.end) + 1;
+            while (i < limit && !isPunct(tokens[i], '{')) i = skipToken(tokens, i, limit);
+            const bodyBlk = i < limit ? readBalanced(doc, tokens[i].start) : null;
+            const assignments = {};
+            const assignRe = /self\.(\w+)\s*=\s*(\w+)\s*(\(\s*\))?/g; let a;
+            while (bodyBlk && (a = assignRe.exec(bodyBlk.inner))) assignments[a[1]] = a[2];
+            return { params: parseParams(paramBlk.inner), assignments };
         }
-        return readString(text, start);
+        return null;
     }
 
-    // Split top-level comma-separated arguments respecting parentheses
-    function splitArgs(s) {
-        const parts = []; let depth = 0; let cur = '';
-        for (let i = 0; i < s.length; i++) {
-            const ch = s[i];
-            if (ch === '"') { const end = readSwiftString(s, i); cur += s.slice(i, end + 1); i = end; continue; }
-            if (ch === '(') depth++;
-            else if (ch === ')') depth--;
-            if (ch === ',' && depth === 0) { parts.push(cur.trim()); cur = ''; }
-            else cur += ch;
+    // Match call arguments ([{ label, value, resolved? }]) to declared parameters in declaration order,
+    // falling back to default values. A labeled parameter also accepts the next positional argument
+    // (memberwise-init order). Constants (`let x = 1`) are bound to their value without consuming arguments.
+    // Returns [{ name, value, resolved?, wrapper?, isDefault? }].
+    function bindArguments(params, args) {
+        const bound = []; let ai = 0;
+        for (const p of params) {
+            const entry = { name: p.name };
+            if (p.label !== undefined) entry.label = p.label;
+            if (p.wrapper) entry.wrapper = p.wrapper;
+            if (p.constant) { bound.push({ ...entry, value: p.defaultValue, isDefault: true }); continue; }
+            let arg = args[ai];
+            let matches = arg && (p.label === '_' ? arg.label === null : arg.label === p.label || arg.label === null);
+            if (!matches && p.label !== '_') {
+                // labels may be out of order in hand-written calls; accept a later argument with the same label
+                const later = args.findIndex((a, idx) => idx > ai && a.label === p.label);
+                if (later >= 0) { arg = args[later]; matches = true; args = args.slice(); args.splice(later, 1); args.splice(ai, 0, arg); }
+            }
+            if (matches) {
+                if (arg.resolved !== undefined) entry.resolved = arg.resolved;
+                if (arg.children) entry.children = arg.children;
+                bound.push({ ...entry, value: arg.value });
+                ai++;
+            } else if (p.defaultValue !== undefined) bound.push({ ...entry, value: p.defaultValue, isDefault: true });
         }
-        if (cur.trim()) parts.push(cur.trim());
-        return parts;
+        return bound;
     }
 
-    function normalizeValue(val) {
-        const single = val.replace(/[\n\r\t]+/g, ' ').replace(/\s{2,}/g, ' ').trim();
-        // truncate long strings
-        if (single.length > 60) return single.slice(0, 57) + '…';
-        return single;
+    // A bound function parameter as written at the call site: `row(item)` for `_ item`, `row(for: item)` for `for item`
+    function callSiteText(param, value) {
+        if (param.label === '_') return normalizeValue(value);
+        return `${param.label || param.name}: ${normalizeValue(value)}`;
+    }
+
+    // Property wrappers that never appear in the memberwise initializer
+    const NON_INIT_WRAPPERS = ['Environment', 'EnvironmentObject', 'FocusState', 'Namespace', 'AppStorage', 'SceneStorage', 'GestureState', 'Query', 'FetchRequest', 'ScaledMetric'];
+    // Property wrappers holding local state: their names are not substituted with call-site values
+    const LOCAL_STATE_WRAPPERS = ['State', 'StateObject'];
+    // Property wrappers shown as a view's state and data flow
+    const DATA_FLOW_WRAPPERS = ['State', 'Binding', 'StateObject', 'ObservedObject', 'Environment', 'EnvironmentObject', 'Bindable'];
+    // Data-flow properties whose value is passed in by the caller: traced back to the caller's state
+    const PASSED_WRAPPERS = ['Binding', 'ObservedObject', 'Bindable', 'Observable'];
+
+    // Single-line stored property declarations (`@State private var x: Int = 0`) at the top level of a struct, static
+    // ones excluded: [{ attributes, modifiers, keyword, name, type?, value?, start, end }] (source offsets of the
+    // declaration without a trailing comment). `innerStart` is the offset of inner[0] in doc.source.
+    function storedDeclarations(inner, innerStart, doc) {
+        const found = [];
+        const topLevel = topLevelOffsets(doc, innerStart, innerStart + inner.length);
+        const declRe = /^[ \t]*((?:@\w+(?:\([^)\n]*\))?\s+)*)((?:(?:private|fileprivate|public|internal|static|lazy|weak)(?:\(set\))?\s+)*)(let|var)\s+(\w+)[ \t]*(?::[ \t]*([^={\n]+?))?[ \t]*(?:=[ \t]*([^{\n][^\n]*?))?[ \t]*(?:\/\/[^\n]*)?$/gm;
+        let m;
+        while ((m = declRe.exec(inner))) {
+            const start = innerStart + m.index + m[0].length - m[0].trimStart().length;
+            if (!topLevel.has(start) || /\bstatic\b/.test(m[2])) continue;
+            const end = doc.tokens[tokenIndex(doc.tokens, innerStart + m.index + m[0].length) - 1].end;
+            found.push({ attributes: m[1] || '', modifiers: m[2], keyword: m[3], name: m[4], type: m[5], value: m[6], start, end });
+        }
+        return found;
     }
 
-    function parsePropsFromArgs(argsText) {
+    // Stored properties declared at the top level of a struct, in declaration order, as memberwise-init
+    // parameters: [{ label, name, type, defaultValue?, wrapper?, constant? }]. Computed properties are skipped;
+    // `let` properties with a value become constants. `innerStart` is the offset of inner[0] in doc.source.
+    function extractStoredProperties(inner, innerStart, doc) {
         const props = [];
-        if (!argsText || !argsText.trim()) return props;
-        const parts = splitArgs(argsText);
-        for (const p of parts) {
-            const m = /^(\w+)\s*:\s*([\s\S]+)$/.exec(p);
-            if (m) {
-                const key = m[1];
-                const val = normalizeValue(m[2]);
-                props.push(`${key}: ${val}`);
+        for (const decl of storedDeclarations(inner, innerStart, doc)) {
+            if (decl.type === undefined && decl.value === undefined) continue;
+            const wrapperMatch = /@(\w+)/.exec(decl.attributes);
+            const wrapper = wrapperMatch ? wrapperMatch[1] : undefined;
+            if (wrapper && NON_INIT_WRAPPERS.includes(wrapper)) continue;
+            const prop = { label: decl.name, name: decl.name, type: (decl.type || '').trim() };
+            if (wrapper) prop.wrapper = wrapper;
+            if (decl.value !== undefined) prop.defaultValue = decl.value.trim();
+            if (decl.keyword === 'let' && decl.value !== undefined) prop.constant = true;
+            if (/\bprivate\b/.test(decl.modifiers) && !prop.constant && prop.defaultValue === undefined) continue;
+            props.push(prop);
+        }
+        return props;
+    }
+
+    // Data-flow properties of a struct in declaration order: [{ name, wrapper?, key?, type?, typeName?, loc }].
+    // `key` is the argument of the wrapper (`\.dismiss`, `Model.self`); `typeName` the type the value is an instance
+    // of, as far as the declaration shows. Properties without a wrapper are kept for their type: they take part
+    // in data flow when it is an @Observable class (see dataFlowOf).
+    function extractStateProperties(inner, innerStart, doc) {
+        const state = [];
+        for (const decl of storedDeclarations(inner, innerStart, doc)) {
+            const attributes = [...decl.attributes.matchAll(/@(\w+)(?:\(([^)\n]*)\))?/g)];
+            const attribute = attributes.find(a => DATA_FLOW_WRAPPERS.includes(a[1]));
+            if (attributes.length && !attribute) continue;
+            const entry = { name: decl.name };
+            if (attribute) entry.wrapper = attribute[1];
+            if (attribute && attribute[2] !== undefined) entry.key = attribute[2].trim();
+            if (decl.type !== undefined) entry.type = decl.type.trim();
+            const typeName = /^(?:any\s+|some\s+)?(\w+)/.exec(entry.type || '') || /^(\w+)\s*\(/.exec((decl.value || '').trim())
+                || /^(\w+)\.self$/.exec(entry.key || '');
+            if (typeName) entry.typeName = typeName[1];
+            if (!entry.wrapper && !entry.typeName) continue;
+            entry.loc = makeLoc(decl.start, decl.end);
+            fillLoc(entry.loc, doc);
+            state.push(entry);
+        }
+        return state;
+    }
+
+    // Bindings visible inside an inlined body: name -> resolved value. Local state wrappers are left alone;
+    // `@Binding var isOn` binds both `isOn` and `$isOn`.
+    function makeEnv(bound, parentEnv) {
+        const env = new Map(parentEnv || []);
+        for (const b of bound) {
+            if (b.wrapper && LOCAL_STATE_WRAPPERS.includes(b.wrapper)) { env.delete(b.name); continue; }
+            const value = b.resolved !== undefined ? b.resolved : b.value;
+            if (value === undefined) continue;
+            if (b.wrapper === 'Binding' && value.startsWith('$')) {
+                env.set('$' + b.name, value);
+                env.set(b.name, value.slice(1));
             } else {
-                props.push(normalizeValue(p)); // positional
+                env.set(b.name, value);
             }
         }
-        return props;
+        return env;
     }
 
-    // Parse a view expression into {name, children, modifiers}
-    // Handles containers like Foo { ... } and leaf like Bar(args). Supports base token chains like Color.black.
-    function parseViewExpression(expr) {
-        const result = { kind: 'View', name: '', modifiers: [], children: [], props: [] };
-        const s = expr.trim();
-        let i = 0; const n = s.length;
-
-        // Read base token: identifier plus optional member chain until whitespace or '(' or '{'
-        function isIdentChar(c) { return /[A-Za-z0-9_\.]/.test(c); }
-        while (i < n && s[i].trim() === '') i++;
-        const start = i;
-        while (i < n && isIdentChar(s[i])) i++;
-        let baseToken = s.slice(start, i).trim();
-        result.name = baseToken || 'View';
-        if (/^ForEach(\b|$)/.test(result.name)) result.kind = 'ForEach';
-        else if (/^(VStack|HStack|ZStack|ScrollView|List|Group|Section|Form|TabView|Navigation(Stack|View)|Lazy(VStack|HStack|VGrid|HGrid)|Grid|GeometryReader)$/
-            .test(result.name)) result.kind = 'Container';
-
-        // Optional argument list right after name token
-        while (i < n && /\s/.test(s[i])) i++;
-        if (i < n && s[i] === '(') {
-            // read balanced parens
-            let d = 0; let j = i; do { const c = s[j]; if (c === '(') d++; else if (c === ')') d--; j++; } while (j < n && d > 0);
-            // capture args
-            const argsContent = s.slice(i + 1, j - 1);
-            result.props = parsePropsFromArgs(argsContent);
-            // ForEach(...) without trailing closure but with labeled content: try to detect `content: { ... }`
-            if (result.kind === 'ForEach') {
-                // naive search for content: { ... }
-                const after = s.slice(j);
-                const m = /content\s*:\s*\{/.exec(after);
-                if (m) {
-                    const pos = j + m.index + m[0].length - 1; // at '{'
-                    const blk = readBalanced(s, pos, '{', '}');
-                    if (blk) {
-                        let inner = blk.inner;
-                        inner = stripLeadingClosureParams(inner);
-                        result.children = parseChildrenBlock(inner);
-                        j = blk.end + 1; // advance
-                    }
+    // Replace bound names in an expression (also `self.name`, `$name` and `\(name)` inside string literals).
+    // Returns the new text, or null if nothing was bound.
+    function substituteNames(expr, env) {
+        if (!env || !env.size) return null;
+        const { tokens } = lex(expr);
+        let out = ''; let last = 0; let changed = false;
+        for (let i = 0; i < tokens.length; i++) {
+            const t = tokens[i];
+            let replacement = null; let end = t.end;
+            if (t.type === 'string') {
+                const text = t.text.replace(/\\\((\w+)\)/g, (whole, name) => {
+                    if (!env.has(name)) return whole;
+                    const value = env.get(name);
+                    const literal = /^"((?:[^"\\\n]|\\.)*)"$/.exec(value);
+                    if (literal) return literal[1];
+                    return /^(-?\d+(\.\d+)?|true|false)$/.test(value) ? value : `\\(${value})`;
+                });
+                if (text !== t.text) replacement = text;
+            } else if (t.type === 'identifier') {
+                let name = t.text; let next = i + 1;
+                const member = tokens[i + 2];
+                if (name === 'self' && isPunct(tokens[i + 1], '.') && member && member.type === 'identifier' && env.has(member.text)) {
+                    name = member.text; next = i + 3;
+                }
+                const isMember = i > 0 && isPunct(tokens[i - 1], '.') && tokens[i - 1].end === t.start;
+                const isLabel = isPunct(tokens[next], ':') && tokens[next].start === tokens[next - 1].end;
+                if (!isMember && !isLabel && env.has(name)) {
+                    replacement = env.get(name);
+                    end = tokens[next - 1].end;
+                    i = next - 1;
                 }
             }
-            i = j;
+            if (replacement === null) continue;
+            out += expr.slice(last, t.start) + replacement;
+            last = end;
+            changed = true;
         }
+        return changed ? out + expr.slice(last) : null;
+    }
 
-        // Optional container block
-        while (i < n && /\s/.test(s[i])) i++;
-        let baseEnd = i;
-        if (i < n && s[i] === '{') {
-            const blk = readBalanced(s, i, '{', '}');
-            if (blk) {
-                let inner = blk.inner;
-                // Special case: ForEach trailing closure — remove leading closure params like `x in` or `(x, y) in`
-                if (/^ForEach(\b|$)/.test(result.name)) {
-                    result.kind = 'ForEach';
-                    inner = stripLeadingClosureParams(inner);
-                }
-                result.children = parseChildrenBlock(inner);
-                i = blk.end + 1;
+    // Record resolved values for a freshly parsed subtree: `arg.resolved` for call and modifier arguments,
+    // `resolvedProps` / `resolvedModifiers` (null where unchanged) for display next to the originals
+    function applyBindings(node, env) {
+        if (!env || !env.size) return;
+        if (node.args) {
+            if (bindValues(node.args, env) && node.props.length === node.args.length) {
+                node.resolvedProps = node.args.map(a => a.resolved === undefined ? null : (a.label ? `${a.label}: ${normalizeValue(a.resolved)}` : normalizeValue(a.resolved)));
             }
-            baseEnd = i;
-        }
-
-        // Remaining tail: modifiers like .padding(...).background(...)
-        const tail = s.slice(baseEnd);
-        // scan for top-level dot calls (ignore inside parens)
-        let depth = 0; let cur = '';
-        for (let k = 0; k < tail.length; k++) {
-            const ch = tail[k];
-            if (ch === '"') { const end = readSwiftString(tail, k); cur += tail.slice(k, end + 1); k = end; continue; }
-            if (ch === '(') depth++;
-            else if (ch === ')') depth--;
-            if (ch === '.' && depth === 0) {
-                // flush previous (whitespace)
-                if (cur.trim()) { /* ignore */ }
-                // capture .name(args?) token
-                let j = k + 1; let name = ''; while (j < tail.length && /[A-Za-z0-9_]/.test(tail[j])) { name += tail[j]; j++; }
-                // optional parens
-                let args = '';
-                while (j < tail.length && /\s/.test(tail[j])) j++;
-                if (j < tail.length && tail[j] === '(') {
-                    let d = 0; let t = j; do { const c = tail[t]; if (c === '(') d++; else if (c === ')') d--; t++; } while (t < tail.length && d > 0);
-                    args = tail.slice(j + 1, t - 1);
-                    k = t - 1; // continue from here
-                } else {
-                    k = j - 1;
-                }
-                result.modifiers.push(args ? `${name}(${args.trim()})` : name);
-                cur = '';
+            for (const arg of node.args) for (const child of arg.children || []) applyBindings(child, env);
+        }
+        const mods = node.modifiers.map(mod => (bindValues(mod.args, env) ? modifierText(mod, true) : null));
+        if (mods.some(x => x !== null)) node.resolvedModifiers = mods;
+        for (const mod of node.modifiers) for (const child of modifierViews(mod)) applyBindings(child, env);
+        for (const child of node.children) applyBindings(child, env);
+    }
+
+    // Set `resolved` on the arguments whose value changes under `env`; true if any did
+    function bindValues(args, env) {
+        let any = false;
+        for (const arg of args) {
+            const r = substituteNames(arg.value, env);
+            if (r !== null && r !== arg.value) { arg.resolved = r; any = true; }
+        }
+        return any;
+    }
+
+    // Offsets at which each line of `text` begins (index 0 is line 1)
+    function computeLineStarts(text) {
+        const starts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') starts.push(i + 1);
+        }
+        return starts;
+    }
+
+    // Convert an absolute offset into a 1-based { line, column } using a line-start table
+    function positionAt(lines, offset) {
+        let lo = 0, hi = lines.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (lines[mid] <= offset) lo = mid; else hi = mid - 1;
+        }
+        return { line: lo + 1, column: offset - lines[lo] + 1 };
+    }
+
+    function makeLoc(start, end) {
+        return { start, end };
+    }
+
+    // Fill in line/column (and file, in project mode) on every `loc` of a freshly parsed subtree.
+    // `doc` is any view info: { lines, file }.
+    function attachLineInfo(node, doc) {
+        fillLoc(node.loc, doc);
+        for (const mod of node.modifiers || []) {
+            fillLoc(mod.loc, doc);
+            for (const child of modifierViews(mod)) attachLineInfo(child, doc);
+        }
+        for (const child of node.children || []) attachLineInfo(child, doc);
+    }
+
+    function fillLoc(loc, doc) {
+        if (!loc || loc.line !== undefined) return;
+        const a = positionAt(doc.lines, loc.start);
+        const b = positionAt(doc.lines, loc.end);
+        loc.line = a.line; loc.column = a.column;
+        loc.endLine = b.line; loc.endColumn = b.column;
+        if (doc.file !== undefined) loc.file = doc.file;
+    }
+
+    function diagnostic(severity, code, message, loc, doc) {
+        const d = { severity, code, message, loc: { ...loc } };
+        if (doc) fillLoc(d.loc, doc);
+        return d;
+    }
+
+    // Record a problem at a source offset while parsing a body into the parse's `notes` (see parseViewBody), which
+    // adds line info
+    function note(doc, severity, code, message, start, end) {
+        if (doc.notes) doc.notes.push(diagnostic(severity, code, message, makeLoc(start, end)));
+    }
+
+    // Record a problem at a located node in `diagnostics` (ctx.diagnostics, or null to drop it); the same problem
+    // found again (a view inlined twice) is kept once
+    function report(diagnostics, severity, code, message, loc) {
+        if (!diagnostics || !loc) return;
+        if (diagnostics.some(d => d.code === code && d.loc.start === loc.start && d.loc.file === loc.file)) return;
+        diagnostics.push(diagnostic(severity, code, message, loc));
+    }
+
+    // Parse the body of a view from the viewMap, with source locations relative to its original text; problems
+    // found on the way go to `diagnostics` (an array, or null)
+    function parseViewBody(info, diagnostics) {
+        const doc = { ...info, notes: diagnostics ? [] : null };
+        const nodes = parseChildren(doc, info.bodyStart, info.bodyStart + info.body.length);
+        for (const node of nodes) attachLineInfo(node, info);
+        for (const d of doc.notes || []) {
+            fillLoc(d.loc, info);
+            report(diagnostics, d.severity, d.code, d.message, d.loc);
+        }
+        return nodes;
+    }
+
+    const BRACKET_PAIRS = { '(': ')', '[': ']', '{': '}' };
+
+    // Lexical problems of a whole source: unterminated strings and comments, unbalanced (), [] and {}.
+    // `comments` come from the tokenizer. Returns diagnostics with locations.
+    function scanSource(doc, comments) {
+        const found = [];
+        const add = (code, message, start, end) => found.push(diagnostic('error', code, message, makeLoc(start, end), doc));
+        const lineOf = offset => doc.source.lastIndexOf('\n', offset - 1) + 1;
+        for (const c of comments) if (c.unterminated) add('unterminated-comment', '區塊註解 /* 沒有結束', c.start, c.end);
+        // The ( and [ of a line ending in an unterminated string were left open by the string, not by the code
+        const cutLines = new Set();
+        for (const t of doc.tokens) {
+            if (t.type !== 'string' || !t.unterminated) continue;
+            const multiline = /^#*"""/.test(t.text);
+            add('unterminated-string', multiline ? '多行字串 """ 沒有結束' : '字串沒有結束 (缺少 ")', t.start, t.end);
+            if (!multiline) cutLines.add(lineOf(t.start));
+        }
+        for (const t of doc.tokens) {
+            if (t.match !== -1) continue;
+            if (!BRACKET_PAIRS[t.text]) add('unbalanced-brackets', `多餘的 ${t.text}`, t.start, t.end);
+            else if (t.text === '{' || !cutLines.has(lineOf(t.start))) add('unbalanced-brackets', `${t.text} 沒有對應的 ${BRACKET_PAIRS[t.text]}`, t.start, t.end);
+        }
+        return found.sort((a, b) => a.loc.start - b.loc.start);
+    }
+
+    // The { ... } block of a top-level declaration. When its braces do not balance (or it runs into the next
+    // top-level declaration), the block is cut at that declaration and a warning is added to `found`.
+    function readBlock(doc, openPos, declStart, what, found) {
+        const source = doc.source;
+        const block = readBalanced(doc, openPos);
+        const next = nextDeclaration(doc, openPos + 1);
+        if (block && block.end < next) return block;
+        found.push(diagnostic('warning', 'recovered-block', `${what} 的 { } 不成對，解析到下一個宣告為止`, makeLoc(declStart, openPos + 1), doc));
+        return { inner: source.slice(openPos + 1, next), end: next };
+    }
+
+    // Offset of the next top-level declaration (a line starting with struct / extension / ...) after `from`
+    function nextDeclaration(doc, from) {
+        const re = /^(?:(?:public|private|fileprivate|internal|final|@\w+(?:\([^)]*\))?)\s+)*(?:struct|class|enum|extension|protocol|func|import|#Preview)\b/gm;
+        re.lastIndex = from;
+        let m;
+        while ((m = re.exec(doc.source)) && !isCodeAt(doc, m.index));
+        return m ? m.index : doc.source.length;
+    }
+
+    // Token helpers. A `doc` is lexed text { source, tokens } (every view info is one); offsets are into doc.source.
+
+    // A standalone text (an argument list, a condition) lexed like a document
+    function lex(text) {
+        return { source: text, tokens: SwiftUITokenizer.tokenize(text).tokens };
+    }
+
+    // Index of the first token starting at or after `offset`
+    function tokenIndex(tokens, offset) {
+        let lo = 0, hi = tokens.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (tokens[mid].start < offset) lo = mid + 1; else hi = mid;
+        }
+        return lo;
+    }
+
+    const isWord = (token, word) => Boolean(token) && token.type === 'identifier' && token.text === word;
+    const isPunct = (token, ch) => Boolean(token) && token.type === 'punct' && token.text === ch;
+
+    // Index after the token at `i`: past its whole group when it opens a bracket that closes before `limit`
+    function skipToken(tokens, i, limit) {
+        const match = tokens[i].match;
+        return match > i && match < limit ? match + 1 : i + 1;
+    }
+
+    // Whether the bracket token at `i` opens a group that closes before `limit`
+    function isGroup(tokens, i, limit, ch) {
+        return i < limit && isPunct(tokens[i], ch) && tokens[i].match > i && tokens[i].match < limit;
+    }
+
+    // Whether a token starts at `offset` (so it is code, not inside a comment or string)
+    function isCodeAt(doc, offset) {
+        const token = doc.tokens[tokenIndex(doc.tokens, offset)];
+        return Boolean(token) && token.start === offset;
+    }
+
+    // Offsets of the tokens at the top level of doc[start, end), outside any bracket group opened inside it
+    function topLevelOffsets(doc, start, end) {
+        const tokens = doc.tokens; const offsets = new Set();
+        const limit = tokenIndex(tokens, end);
+        for (let i = tokenIndex(tokens, start); i < limit; i = skipToken(tokens, i, limit)) offsets.add(tokens[i].start);
+        return offsets;
+    }
+
+    // The bracket group opening at `openPos`: { inner, end } with `end` the offset of its closing bracket, or null
+    function readBalanced(doc, openPos) {
+        const i = tokenIndex(doc.tokens, openPos);
+        const open = doc.tokens[i];
+        if (!open || open.start !== openPos || !(open.match > i)) return null;
+        const end = doc.tokens[open.match].start;
+        return { inner: doc.source.slice(openPos + 1, end), end };
+    }
+
+    // Split top-level comma-separated parts of a text (outside brackets, strings and comments)
+    function splitArgs(text) {
+        return splitRanges(lex(text), 0, text.length).map(part => text.slice(part.start, part.end));
+    }
+
+    // Comma-separated parts of doc[start, end) at its top level: [{ start, end, first, last }] (offsets and
+    // token indices of the part without surrounding whitespace and comments)
+    function splitRanges(doc, start, end) {
+        const tokens = doc.tokens; const parts = [];
+        const limit = tokenIndex(tokens, end);
+        let first = tokenIndex(tokens, start);
+        for (let i = first; i <= limit;) {
+            if (i === limit || isPunct(tokens[i], ',')) {
+                if (i > first) parts.push({ start: tokens[first].start, end: tokens[i - 1].end, first, last: i - 1 });
+                first = ++i;
                 continue;
             }
-            cur += ch;
+            i = skipToken(tokens, i, limit);
         }
+        return parts;
+    }
 
-        return result;
+    // Collapse whitespace so multi-line values read as one line (values are never truncated here)
+    function normalizeValue(val) {
+        return val.replace(/[\n\r\t]+/g, ' ').replace(/\s{2,}/g, ' ').trim();
     }
 
-    // Remove leading closure parameters from a trailing-closure body: e.g. "item in ..." or "(index, item) in ..."
-    function stripLeadingClosureParams(text) {
-        let i = 0; const n = text.length;
-        // skip leading whitespace/newlines
-        while (i < n && /\s/.test(text[i])) i++;
-        let depthParen = 0, depthBrace = 0; let inStr = false;
-        for (; i < n; i++) {
-            const ch = text[i];
-            if (ch === '"') { const end = readSwiftString(text, i); i = end; continue; }
-            if (inStr) continue;
-            if (ch === '(') depthParen++;
-            else if (ch === ')') depthParen--;
-            else if (ch === '{') depthBrace++;
-            else if (ch === '}') depthBrace--;
-            // find token 'in' at top level (not inside any paren/brace)
-            if (depthParen === 0 && depthBrace === 0) {
-                if (text[i] === 'i' && text[i + 1] === 'n') {
-                    const before = text[i - 1];
-                    const after = text[i + 2];
-                    const isWordBoundary = (!before || /[^A-Za-z0-9_]/.test(before)) && (!after || /[^A-Za-z0-9_]/.test(after));
-                    if (isWordBoundary) {
-                        return text.slice(i + 2).trimStart();
+    // Split the argument list in doc[start, end) into [{ label, value }] keeping full values (label is null for
+    // positional args). `ranges`, when given, receives the token range { first, last } of each value.
+    function parseArgs(doc, start, end, ranges) {
+        const tokens = doc.tokens; const args = [];
+        for (const part of splitRanges(doc, start, end)) {
+            const labeled = part.last > part.first + 1 && tokens[part.first].type === 'identifier' && isPunct(tokens[part.first + 1], ':');
+            const first = labeled ? part.first + 2 : part.first;
+            args.push({ label: labeled ? tokens[part.first].text : null, value: doc.source.slice(tokens[first].start, part.end) });
+            if (ranges) ranges.push({ first, last: part.last });
+        }
+        return args;
+    }
+
+    function parseArgsText(text) {
+        return parseArgs(lex(text), 0, text.length);
+    }
+
+    function propsFromArgs(args) {
+        return args.map(a => a.label ? `${a.label}: ${normalizeValue(a.value)}` : normalizeValue(a.value));
+    }
+
+    // Parse the view expression made of tokens [first, limit) of `doc` into { kind, name, props, args?, closures?,
+    // modifiers, children, loc }. Handles containers like Foo { ... } and leaves like Bar(args); the name may be a
+    // member chain like Color.black. Registered types (components.js) decide the kind and which arguments and
+    // closures hold Slot children; children keep their source order.
+    function parseViewExpression(doc, first, limit) {
+        const tokens = doc.tokens;
+        const result = { kind: 'View', name: '', modifiers: [], children: [], props: [], loc: makeLoc(tokens[first].start, tokens[limit - 1].end) };
+        // Name: adjacent identifier, number and `.` tokens
+        let i = first;
+        while (i < limit && (i === first || tokens[i].start === tokens[i - 1].end)
+            && (tokens[i].type === 'identifier' || tokens[i].type === 'number' || isPunct(tokens[i], '.'))) i++;
+        result.name = i > first ? doc.source.slice(tokens[first].start, tokens[i - 1].end) : 'View';
+        const isForEach = /^ForEach(\b|$)/.test(result.name);
+        const component = SwiftUIComponents.get(result.name);
+        if (isForEach) result.kind = 'ForEach';
+        else if (component && component.kind === 'container') result.kind = 'Container';
+        const slots = (component && component.slots) || [];
+        const slot = (name, children, start, end) => ({ kind: 'Slot', name, modifiers: [], props: [], children, loc: makeLoc(start, end) });
+
+        // Optional argument list right after the name
+        if (i < limit && isPunct(tokens[i], '(')) {
+            const close = isGroup(tokens, i, limit, '(') ? tokens[i].match : limit;
+            const ranges = [];
+            result.args = parseArgs(doc, tokens[i].end, close < limit ? tokens[close].start : tokens[limit - 1].end, ranges);
+            result.props = propsFromArgs(result.args);
+            // Closure arguments (`content: { ... }`) carry their parsed views for @ViewBuilder slots
+            parseArgViews(doc, result.args, ranges, false);
+            if (component) {
+                // Slot arguments, closures or views (`header: Text("A")`); the `content:` closure is plain content
+                result.args.forEach((arg, idx) => {
+                    const { first: from, last } = ranges[idx];
+                    if (slots.includes(arg.label) && (arg.children || /^[A-Za-z_]/.test(arg.value))) {
+                        if (!arg.children) arg.children = [parseViewExpression(doc, from, last + 1)];
+                        result.children.push(slot(arg.label, arg.children, tokens[from - 2].start, tokens[last].end));
+                    } else if (arg.label === 'content' && arg.children) {
+                        result.children.push(...arg.children);
+                    } else if (component.wrapper && idx === 0 && !arg.label && /^[A-Za-z_]/.test(arg.value)) {
+                        // The wrapped view (AnyView(Text("A")))
+                        result.children.push(parseViewExpression(doc, from, last + 1));
                     }
-                }
-                // If we hit a non-param token (like a container) before finding 'in', bail out
-                if (/[A-Za-z]/.test(ch)) {
-                    // keep scanning for a short distance (handles leading identifiers), otherwise break at newline
-                }
+                });
+            }
+            i = Math.min(close + 1, limit);
+            // ForEach(...) content: { ... }
+            if (result.kind === 'ForEach' && isWord(tokens[i], 'content') && isPunct(tokens[i + 1], ':') && isGroup(tokens, i + 2, limit, '{')) {
+                const open = i + 2;
+                result.children = parseChildren(doc, closureBody(doc, open, true), tokens[tokens[open].match].start);
+                i = tokens[open].match + 1;
             }
         }
-        // no change
-        return text;
+
+        // Optional container block
+        if (isGroup(tokens, i, limit, '{')) {
+            const close = tokens[i].match;
+            if (component && component.action && !(result.args || []).some(a => a.label === component.action)) {
+                // The closure is the action (Button { save() }); only labeled trailing closures hold views
+                result.closures = [];
+            } else {
+                // ForEach takes any closure parameters (`x in`, `(x, y) in`); other closures (List { row in }, custom
+                // builders) only visibly simple ones
+                const children = parseChildren(doc, closureBody(doc, i, isForEach), tokens[close].start);
+                result.closures = [{ label: null, children }];
+                // The closure shares the children array while it is all there is, so filled slots show in both
+                if (component && component.content) result.children = result.children.concat(slot(component.content, children, tokens[i].start, tokens[close].end));
+                else result.children = result.children.length ? result.children.concat(children) : children;
+            }
+            i = close + 1;
+            // Additional labeled trailing closures: `} footer: { ... }` become Slot children
+            while (i < limit && tokens[i].type === 'identifier' && isPunct(tokens[i + 1], ':') && isGroup(tokens, i + 2, limit, '{')) {
+                const label = tokens[i]; const open = i + 2; const end = tokens[open].match;
+                const children = parseChildren(doc, closureBody(doc, open, false), tokens[end].start);
+                result.closures.push({ label: label.text, children });
+                result.children = result.children.concat(slot(label.text, children, label.start, tokens[end].end));
+                i = end + 1;
+            }
+        }
+
+        // Remaining tail: modifiers like .padding(...).background { ... }
+        result.modifiers = parseModifierChain(doc, i, limit);
+        return result;
     }
 
-    function parseChildrenBlock(body) {
-        // Split by top-level commas or new child starts by pattern: Identifier( or Identifier { or If/ForEach etc.
-        // Simple heuristic: iterate and whenever we see Name( or Name {, capture that expression including trailing modifiers until newline that isn't inside parens/braces.
-        const children = [];
-        let i = 0; const n = body.length;
-        while (i < n) {
-            // skip whitespace and commas
-            while (i < n && /[\s,]/.test(body[i])) i++;
-            if (i >= n) break;
+    // Parse the modifier chain in tokens [from, limit) of `doc`; see VIEW_CONTENT_MODIFIERS
+    function parseModifierChain(doc, from, limit) {
+        const tokens = doc.tokens; const modifiers = [];
+        let k = from;
+        while (k < limit) {
+            if (!isPunct(tokens[k], '.')) { k = skipToken(tokens, k, limit); continue; }
+            const dot = tokens[k];
+            let end = k + 1;
+            const named = end < limit && tokens[end].type === 'identifier' && tokens[end].start === dot.end;
+            const mod = { name: named ? tokens[end++].text : '', text: '', args: [], closures: [] };
+            const content = VIEW_CONTENT_MODIFIERS.includes(mod.name);
+            if (isGroup(tokens, end, limit, '(')) {
+                const close = tokens[end].match; const ranges = [];
+                mod.args = parseArgs(doc, tokens[end].end, tokens[close].start, ranges);
+                if (content) parseArgViews(doc, mod.args, ranges, true);
+                end = close + 1;
+            }
+            // Trailing closures: `{ ... }`, then labeled ones (`} message: { ... }`)
+            let open = end; let label = null;
+            while (isGroup(tokens, open, limit, '{')) {
+                const close = tokens[open].match;
+                const closure = { label, value: doc.source.slice(tokens[open].start, tokens[close].end) };
+                if (content) closure.children = parseChildren(doc, closureBody(doc, open, false), tokens[close].start);
+                mod.closures.push(closure);
+                end = close + 1;
+                if (!(end < limit && tokens[end].type === 'identifier' && isPunct(tokens[end + 1], ':'))) break;
+                label = tokens[end].text;
+                open = end + 2;
+            }
+            mod.text = modifierText(mod);
+            mod.loc = makeLoc(dot.start, tokens[end - 1].end);
+            modifiers.push(mod);
+            k = end;
+        }
+        return modifiers;
+    }
 
-            // Special case: if/else at top-level
-            if (isWordAt(body, i, 'if')) {
-                const { node, nextIndex } = parseIfElse(body, i);
-                if (node) { children.push(node); i = nextIndex + 1; continue; }
+    // Attach parsed views to arguments: closures (`content: { ... }`) and, with `viewValues`, unlabeled
+    // view expressions (`.overlay(Badge())`). `ranges` are the token ranges of the values (see parseArgs).
+    function parseArgViews(doc, args, ranges, viewValues) {
+        const tokens = doc.tokens;
+        args.forEach((arg, idx) => {
+            const { first, last } = ranges[idx];
+            if (isPunct(tokens[first], '{') && tokens[first].match === last) {
+                arg.children = parseChildren(doc, closureBody(doc, first, false), tokens[last].start);
+            } else if (viewValues && (arg.label === null || arg.label === 'content') && /^[A-Z]\w*(?:\.\w+)*\s*(?:[({]|$)/.test(arg.value)) {
+                arg.children = [parseViewExpression(doc, first, last + 1)];
             }
+        });
+    }
 
-            const start = i;
-            // read until end of one top-level expression
-            let depthParen = 0, depthBrace = 0; let inString = false;
-            while (i < n) {
-                const ch = body[i];
-                if (ch === '"' && body[i - 1] !== '\\') {
-                    // handle triple quotes
-                    if (body[i + 1] === '"' && body[i + 2] === '"') {
-                        const end = readTripleQuoted(body, i);
-                        i = end + 1; // move past closing quotes
-                        continue;
-                    } else {
-                        inString = !inString;
-                    }
-                }
-                if (!inString) {
-                    if (ch === '(') depthParen++;
-                    else if (ch === ')') depthParen--;
-                    else if (ch === '{') depthBrace++;
-                    else if (ch === '}') depthBrace--;
-                    else if (ch === '\n' && depthParen === 0 && depthBrace === 0) {
-                        // lookahead to see if next non-space starts with '.' (modifier continuation)
-                        let t = i + 1; while (t < n && /\s/.test(body[t])) t++;
-                        if (body[t] !== '.') break; // end of expression
-                    }
-                }
+    // Display text of a modifier; `resolved` prefers bound argument values where present
+    function modifierText(mod, resolved = false) {
+        let text = mod.name;
+        if (mod.args.length) text += `(${argsToText(mod.args, resolved)})`;
+        for (const closure of mod.closures) text += `${closure.label ? ` ${closure.label}:` : ''} ${closure.value}`;
+        return normalizeValue(text);
+    }
+
+    // View trees held by a modifier: view-valued arguments and trailing closures of content modifiers
+    function modifierViews(mod) {
+        const views = [];
+        for (const part of [...mod.args, ...mod.closures]) if (part.children) views.push(...part.children);
+        return views;
+    }
+
+    // A modifier for a call that is re-attached to another view (`content.padding(8)` -> `.padding(8)`)
+    function callAsModifier(name, node) {
+        const mod = { name, text: '', args: node.args || [], closures: [], loc: node.loc };
+        mod.text = modifierText(mod);
+        return mod;
+    }
+
+    // Offset where the body of the closure opening at token `open` begins, after its parameters. With `anyParams`
+    // everything up to the first top-level `in` is taken as parameters; otherwise only a visibly simple list
+    // (`item in`, `(a, b) in`, `_ in`, optionally with a capture list and return type) is.
+    function closureBody(doc, open, anyParams) {
+        const tokens = doc.tokens; const close = tokens[open].match;
+        let i = open + 1;
+        if (anyParams) {
+            for (; i < close; i = skipToken(tokens, i, close)) if (isWord(tokens[i], 'in')) return tokens[i].end;
+            return tokens[open].end;
+        }
+        if (isPunct(tokens[i], '[')) i = skipToken(tokens, i, close);
+        if (isPunct(tokens[i], '(')) i = skipToken(tokens, i, close);
+        else {
+            while (i < close && tokens[i].type === 'identifier' && !isWord(tokens[i], 'in')) {
+                i++;
+                if (!isPunct(tokens[i], ',')) break;
                 i++;
             }
-            const expr = body.slice(start, i).trim();
-            if (expr) {
-                children.push(parseViewExpression(expr));
-            }
+        }
+        if (i < close && tokens[i].text === '->') {
             i++;
+            while (i < close && !isWord(tokens[i], 'in') && (tokens[i].type === 'identifier' || isPunct(tokens[i], '.') || tokens[i].text === '<' || tokens[i].text === '>')) i++;
+        }
+        return i > open + 1 && i < close && isWord(tokens[i], 'in') ? tokens[i].end : tokens[open].end;
+    }
+
+    // Parse the view statements in doc[start, end): one expression per line (continued by lines starting with
+    // `.`, i.e. modifiers), control flow, and local declarations, which are skipped
+    function parseChildren(doc, start, end) {
+        const tokens = doc.tokens; const children = [];
+        const limit = tokenIndex(tokens, end);
+        let i = tokenIndex(tokens, start);
+        while (i < limit) {
+            const token = tokens[i];
+            if (isPunct(token, ',') || isPunct(token, ';')) { i++; continue; }
+            // Control flow at top-level (if/else, guard, switch, #if)
+            const control = isWord(token, 'if') ? parseIfElse
+                : isWord(token, 'guard') ? parseGuard
+                    : isWord(token, 'switch') ? parseSwitch
+                        : token.type === 'directive' && token.text === '#if' ? parseCompilerIf : null;
+            if (control) {
+                const { node, next } = control(doc, i, limit);
+                if (node) { children.push(node); i = next; continue; }
+            }
+            // `return` in bodies with explicit returns (e.g. after a guard)
+            if (isWord(token, 'return')) { i++; continue; }
+            // Local declarations (`let x = ...`, `@Previewable @State var x = ...` in previews) are allowed in view
+            // builders but are not views
+            let k = i;
+            while (isPunct(tokens[k], '@') && tokens[k + 1] && tokens[k + 1].type === 'identifier') k = isGroup(tokens, k + 2, limit, '(') ? tokens[k + 2].match + 1 : k + 2;
+            const declaration = isWord(tokens[k], 'let') || isWord(tokens[k], 'var');
+            const first = i;
+            i = skipToken(tokens, i, limit);
+            while (i < limit && !(tokens[i].nl && !isPunct(tokens[i], '.')) && !isPunct(tokens[i], ';')) i = skipToken(tokens, i, limit);
+            if (declaration) continue;
+            const node = parseViewExpression(doc, first, i);
+            // Not an identifier (a literal, an operator, a stray brace): report it and leave it out
+            if (token.type === 'identifier' && !token.text.startsWith('$')) children.push(node);
+            else note(doc, 'warning', 'unknown-expression', `無法辨識為 View：${normalizeValue(doc.source.slice(node.loc.start, node.loc.end)).slice(0, 40)}`, node.loc.start, node.loc.end);
         }
         return children;
     }
 
-    function isWordAt(text, index, word) {
-        if (text.slice(index, index + word.length) !== word) return false;
-        const before = text[index - 1];
-        const after = text[index + word.length];
-        const isBoundaryBefore = index === 0 || /[^A-Za-z0-9_]/.test(before);
-        const isBoundaryAfter = !after || /[^A-Za-z0-9_]/.test(after);
-        return isBoundaryBefore && isBoundaryAfter;
-    }
-
-    function parseIfElse(text, i) {
-        const n = text.length;
-        // assume text[i..] starts with 'if'
-        let k = i + 2; // after 'if'
-        // capture condition until the next top-level '{'
-        while (k < n && /\s/.test(text[k])) k++;
-        const condStart = k;
-        let depthParen = 0; let inStr = false;
-        while (k < n) {
-            const ch = text[k];
-            if (ch === '"') { const end = readSwiftString(text, k); k = end + 1; continue; }
-            if (ch === '(') depthParen++;
-            else if (ch === ')') depthParen--;
-            if (ch === '{' && depthParen === 0) break;
-            k++;
-        }
-        if (k >= n || text[k] !== '{') return { node: null, nextIndex: i };
-        const condition = text.slice(condStart, k).trim();
-        const thenBlk = readBalanced(text, k, '{', '}');
-        if (!thenBlk) return { node: null, nextIndex: i };
-        const thenChildren = parseChildrenBlock(thenBlk.inner);
-        let cursor = thenBlk.end + 1;
-        // build node
-        const node = { kind: 'If', name: `if ${condition}`, modifiers: [], props: [], children: [] };
-        node.children.push({ kind: 'Branch', name: 'Then', modifiers: [], props: [], children: thenChildren });
-
-        // skip whitespace/newlines
-        while (cursor < n && /\s/.test(text[cursor])) cursor++;
+    // Index of the token ending a statement condition that starts at token `k`: the first top-level `{`
+    // (or `else` for guard)
+    function readCondition(tokens, k, limit, stopAtElse) {
+        while (k < limit) {
+            const token = tokens[k];
+            if (stopAtElse ? isWord(token, 'else') : isPunct(token, '{')) break;
+            k = isPunct(token, '{') ? k + 1 : skipToken(tokens, k, limit);
+        }
+        return k;
+    }
+
+    // Source text of tokens [first, limit)
+    function tokensText(doc, first, limit) {
+        return limit > first ? doc.source.slice(doc.tokens[first].start, doc.tokens[limit - 1].end) : '';
+    }
+
+    // Describe the clauses of an if/guard condition. Optional binding (`let x = y`, `var x`) and
+    // pattern matching (`case .a(let v) = e`) clauses become bound conditions listed as props.
+    function describeCondition(condition) {
+        const bindings = []; const props = [];
+        for (const clause of splitArgs(condition)) {
+            const bound = boundNames(clause);
+            if (!bound.length) continue;
+            bindings.push(...bound);
+            props.push(normalizeValue(clause));
+        }
+        return { bindings, props };
+    }
+
+    // Names introduced by a single condition clause or case pattern
+    function boundNames(clause) {
+        const names = [];
+        const decl = /^(?:let|var)\s+(\w+)/.exec(clause);
+        if (decl) { names.push(decl[1]); return names; }
+        if (!/^case\b/.test(clause) && !/\b(?:let|var)\b/.test(clause)) return names;
+        // `case let .a(x, y)` binds every identifier in the pattern; `case .a(let x)` binds only marked ones
+        if (/^(?:case\s+)?(?:let|var)\s/.test(clause)) {
+            const pattern = clause.replace(/^(?:case\s+)?(?:let|var)\s+/, '').split('=')[0];
+            const inner = /\(([^)]*)\)/.exec(pattern);
+            if (inner) for (const part of splitArgs(inner[1])) { const id = /(\w+)\s*$/.exec(part); if (id) names.push(id[1]); }
+            else { const id = /^(\w+)/.exec(pattern.trim()); if (id) names.push(id[1]); }
+            return names;
+        }
+        const re = /\b(?:let|var)\s+(\w+)/g; let m;
+        while ((m = re.exec(clause))) names.push(m[1]);
+        return names;
+    }
+
+    // Control-flow parsers take the token index `i` of their keyword and return { node, next } where `next` is the
+    // index of the first token after the statement (node is null when the statement could not be read)
+    function parseIfElse(doc, i, limit) {
+        const tokens = doc.tokens;
+        // condition until the next top-level '{'
+        const open = readCondition(tokens, i + 1, limit, false);
+        if (!isGroup(tokens, open, limit, '{')) return { node: null, next: i };
+        const condition = tokensText(doc, i + 1, open);
+        const close = tokens[open].match;
+        const thenChildren = parseChildren(doc, tokens[open].end, tokens[close].start);
+        let next = close + 1;
+        // build node; `if let` / `if case` clauses are shown as bound conditions
+        const { bindings, props } = describeCondition(condition);
+        const node = { kind: 'If', name: `if ${normalizeValue(condition)}`, modifiers: [], props, children: [], loc: makeLoc(tokens[i].start, tokens[close].end) };
+        if (bindings.length) node.bindings = bindings;
+        node.children.push({ kind: 'Branch', name: 'Then', modifiers: [], props: [], children: thenChildren, loc: makeLoc(tokens[open].start, tokens[close].end) });
+
         // optional else / else if
-        if (isWordAt(text, cursor, 'else')) {
-            cursor += 4; // after else
-            while (cursor < n && /\s/.test(text[cursor])) cursor++;
-            if (isWordAt(text, cursor, 'if')) {
+        if (next < limit && isWord(tokens[next], 'else')) {
+            const elseToken = tokens[next];
+            if (next + 1 < limit && isWord(tokens[next + 1], 'if')) {
                 // else if ... -> nest another If node inside Else branch
-                const res = parseIfElse(text, cursor);
+                const res = parseIfElse(doc, next + 1, limit);
                 if (res.node) {
-                    node.children.push({ kind: 'Branch', name: 'Else', modifiers: [], props: [], children: [res.node] });
-                    cursor = res.nextIndex + 1;
+                    node.children.push({ kind: 'Branch', name: 'Else', modifiers: [], props: [], children: [res.node], loc: makeLoc(elseToken.start, res.node.loc.end) });
+                    next = res.next;
+                    node.loc.end = res.node.loc.end;
                 }
-            } else if (text[cursor] === '{') {
-                const elseBlk = readBalanced(text, cursor, '{', '}');
-                if (elseBlk) {
-                    const elseChildren = parseChildrenBlock(elseBlk.inner);
-                    node.children.push({ kind: 'Branch', name: 'Else', modifiers: [], props: [], children: elseChildren });
-                    cursor = elseBlk.end + 1;
+            } else if (isGroup(tokens, next + 1, limit, '{')) {
+                const elseOpen = next + 1; const elseClose = tokens[elseOpen].match;
+                const elseChildren = parseChildren(doc, tokens[elseOpen].end, tokens[elseClose].start);
+                node.children.push({ kind: 'Branch', name: 'Else', modifiers: [], props: [], children: elseChildren, loc: makeLoc(elseToken.start, tokens[elseClose].end) });
+                next = elseClose + 1;
+                node.loc.end = tokens[elseClose].end;
+            }
+        }
+        return { node, next };
+    }
+
+    // guard <condition> else { ... } — the else branch is shown; following statements stay siblings
+    function parseGuard(doc, i, limit) {
+        const tokens = doc.tokens;
+        const elseIndex = readCondition(tokens, i + 1, limit, true);
+        const open = elseIndex + 1;
+        if (elseIndex >= limit || !isGroup(tokens, open, limit, '{')) return { node: null, next: i };
+        const condition = tokensText(doc, i + 1, elseIndex);
+        const close = tokens[open].match;
+        const { bindings, props } = describeCondition(condition);
+        const node = { kind: 'Guard', name: `guard ${normalizeValue(condition)}`, modifiers: [], props, children: [], loc: makeLoc(tokens[i].start, tokens[close].end) };
+        if (bindings.length) node.bindings = bindings;
+        node.children.push({ kind: 'Branch', name: 'Else', modifiers: [], props: [], children: parseChildren(doc, tokens[open].end, tokens[close].start), loc: makeLoc(tokens[elseIndex].start, tokens[close].end) });
+        return { node, next: close + 1 };
+    }
+
+    // switch <subject> { case <patterns>: ... default: ... } -> Switch node with one Case per label
+    function parseSwitch(doc, i, limit) {
+        const tokens = doc.tokens;
+        const open = readCondition(tokens, i + 1, limit, false);
+        if (!isGroup(tokens, open, limit, '{')) return { node: null, next: i };
+        const subject = tokensText(doc, i + 1, open);
+        const close = tokens[open].match;
+        const node = { kind: 'Switch', name: `switch ${normalizeValue(subject)}`, modifiers: [], props: [], children: [], loc: makeLoc(tokens[i].start, tokens[close].end) };
+
+        const labels = findCaseLabels(doc, open, close);
+        labels.forEach((label, idx) => {
+            const bodyEnd = idx + 1 < labels.length ? labels[idx + 1].first : close;
+            const end = tokens[Math.max(bodyEnd, label.body) - 1].end;
+            const caseNode = { kind: 'Case', name: label.keyword === 'default' ? 'default' : `case ${normalizeValue(label.pattern)}`, modifiers: [], props: [], children: parseChildren(doc, tokens[label.body - 1].end, tokens[bodyEnd].start), loc: makeLoc(tokens[label.first].start, end) };
+            if (label.keyword === 'case') {
+                caseNode.props = splitArgs(label.pattern).map(normalizeValue);
+                // Alternatives of one case (`.a(let x), .b(let x)`) bind the same names
+                const bindings = [...new Set(caseNode.props.flatMap(p => boundNames(`case ${p}`)))];
+                if (bindings.length) caseNode.bindings = bindings;
+            }
+            node.children.push(caseNode);
+        });
+        return { node, next: close + 1 };
+    }
+
+    // `case ...:` / `default:` labels that begin a line at the top level of the switch block between tokens `open`
+    // and `close`: [{ keyword, first (index of the keyword), pattern, body (index of the first token after the colon) }]
+    function findCaseLabels(doc, open, close) {
+        const tokens = doc.tokens; const labels = [];
+        for (let k = open + 1; k < close;) {
+            const token = tokens[k];
+            if ((token.nl || k === open + 1) && (isWord(token, 'case') || isWord(token, 'default'))) {
+                // pattern runs to the first top-level ':'
+                let colon = k + 1;
+                while (colon < close && !isPunct(tokens[colon], ':')) colon = skipToken(tokens, colon, close);
+                labels.push({ keyword: token.text, first: k, pattern: tokensText(doc, k + 1, colon), body: Math.min(colon + 1, close) });
+                k = colon + 1;
+                continue;
+            }
+            k = skipToken(tokens, k, close);
+        }
+        return labels;
+    }
+
+    // #if COND ... #elseif COND ... #else ... #endif -> CompileIf node with one Branch per clause
+    function parseCompilerIf(doc, i, limit) {
+        const tokens = doc.tokens; const source = doc.source;
+        const lineEnd = token => { const end = source.indexOf('\n', token.end); return end < 0 ? source.length : end; };
+        const clauses = []; let depth = 0;
+        for (let k = i; k < limit; k++) {
+            const token = tokens[k];
+            if (token.type !== 'directive' || !token.nl) continue;
+            const kw = token.text.slice(1);
+            const rest = () => source.slice(token.end, lineEnd(token)).trim();
+            if (kw === 'if') {
+                depth++;
+                if (depth === 1) clauses.push({ label: `#if ${rest()}`, start: token.start, bodyStart: lineEnd(token) });
+            } else if (kw === 'endif') {
+                depth--;
+                if (depth === 0) {
+                    const end = lineEnd(token);
+                    const node = { kind: 'CompileIf', name: clauses[0].label, modifiers: [], props: [], children: [], loc: makeLoc(tokens[i].start, end) };
+                    clauses.forEach((c, idx) => {
+                        const bodyEnd = idx + 1 < clauses.length ? clauses[idx + 1].start : token.start;
+                        node.children.push({ kind: 'Branch', name: c.label, modifiers: [], props: [], children: parseChildren(doc, c.bodyStart, bodyEnd), loc: makeLoc(c.start, bodyEnd) });
+                    });
+                    return { node, next: tokenIndex(tokens, end) };
                 }
+            } else if (depth === 1 && (kw === 'elseif' || kw === 'else')) {
+                clauses.push({ label: kw === 'else' ? '#else' : `#elseif ${rest()}`, start: token.start, bodyStart: lineEnd(token) });
             }
         }
-        return { node, nextIndex: cursor };
+        return { node: null, next: i };
     }
 
-    function resolveCustomViews(tree, viewMap, seen = new Set()) {
-        // Inline custom views when a leaf node name matches a known struct View name
-        if (viewMap.has(tree.name) && !CONTAINER_TYPES.includes(tree.name)) {
+    // Context `ctx`:
+    // - seen: names currently being inlined, to cut off recursion
+    // - owner: view info of the struct whose body the node came from; its @ViewBuilder
+    //   properties and helper functions are inlined where referenced
+    // - env: call-site bindings of the owner (name -> resolved value), see makeEnv
+    // - state: data-flow properties of the owner instance (see dataFlowOf); stateIds numbers them across the tree
+    // - options: { expandModifiers, inlineViews } from buildTreeForRoot
+    // - diagnostics: the array problems are reported to (options.diagnostics), or null
+    // - done: nodes already resolved in their own scope (call-site content placed into @ViewBuilder slots)
+    function resolveCustomViews(tree, viewMap, ctx = {}) {
+        if (!ctx.done) ctx = { ...ctx, done: new WeakSet() };
+        if (ctx.done.has(tree)) return tree;
+        const seen = ctx.seen || new Set();
+        const owner = ctx.owner || null;
+        let scope = owner;
+        let env = ctx.env;
+        let state = ctx.state || [];
+        let guardKey = null;
+        // Arguments, conditions and modifiers are written in the owner's scope
+        const uses = findStateUses(usageTexts(tree), state);
+        if (uses.length) tree.stateUses = uses;
+        const member = owner ? findMember(owner, tree) : null;
+        if (member) {
+            // Inline `header` / `self.header` / `row(item)` from the enclosing struct
+            const key = `${owner.name}.${member.name}`;
+            if (seen.has(key)) {
+                tree.recursive = true;
+                report(ctx.diagnostics, 'warning', 'recursion', `${member.name} 遞迴引用自己，已停止展開`, tree.loc);
+            } else {
+                guardKey = key;
+                tree.kind = member.kind === 'property' ? 'Property' : 'Function';
+                tree.member = { kind: member.kind, name: member.name, owner: owner.name };
+                if (member.kind === 'function') {
+                    tree.parameters = bindArguments(member.params, tree.args || []);
+                    tree.props = tree.parameters.map(p => callSiteText(p, p.value));
+                    tree.resolvedProps = tree.parameters.map(p => p.resolved === undefined ? null : callSiteText(p, p.resolved));
+                    env = makeEnv(tree.parameters, ctx.env);
+                }
+                tree.children = parseViewBody(member, ctx.diagnostics);
+                for (const child of tree.children) applyBindings(child, env);
+            }
+        } else if (viewMap.has(tree.name) && tree.kind !== 'Scene' && !(ctx.options && ctx.options.inlineViews === false)) {
+            // Inline custom views when a node name matches a known struct View name (also over a registered type)
             if (seen.has(tree.name)) {
-                tree.modifiers.push('/* recursion */');
+                tree.recursive = true;
+                report(ctx.diagnostics, 'warning', 'recursion', `${tree.name} 遞迴引用自己，已停止展開`, tree.loc);
             } else {
-                seen.add(tree.name);
-                const body = viewMap.get(tree.name);
+                guardKey = tree.name;
+                const info = viewMap.get(tree.name);
                 tree.kind = 'CustomView';
-                const parsed = parseChildrenBlock(body);
-                // If body contains a single root container, adopt its children as ours; else keep as children
-                if (parsed.length === 1 && CONTAINER_TYPES.includes(parsed[0].name)) {
-                    // preserve modifiers from container on a synthetic child
-                    tree.children = parsed;
-                } else {
-                    tree.children = parsed;
+                if (info.file !== undefined) tree.file = info.file;
+                scope = info;
+                // Bind call-site arguments (and trailing closures) to the explicit init's parameters, or to the
+                // struct's stored properties (memberwise init)
+                const params = info.initParams || info.properties || [];
+                const args = callArguments(tree, params);
+                // View content from the call site belongs to the caller's scope: resolve it before inlining
+                for (const arg of args) {
+                    for (const child of arg.children || []) { resolveCustomViews(child, viewMap, { ...ctx, seen }); ctx.done.add(child); }
                 }
-                seen.delete(tree.name);
+                tree.parameters = bindArguments(params, args);
+                env = makeEnv(tree.parameters.filter(p => !p.children));
+                state = dataFlowOf(info, viewMap, ctx);
+                traceStateSources(state, info, tree.parameters, ctx.state || []);
+                if (state.length) tree.state = state;
+                // Inlined nodes keep locations inside the struct's own body, not the call site
+                const parsed = parseViewBody(info, ctx.diagnostics);
+                for (const node of parsed) applyBindings(node, env);
+                fillSlots(parsed, slotContents(info, tree.parameters));
+                tree.children = parsed;
             }
+        } else if (isUnknownReference(tree, owner)) {
+            report(ctx.diagnostics, 'info', 'unresolved-reference', `「${tree.name}」不是已知的 View 或屬性，無法展開`, tree.loc);
         }
 
-        // Recurse
+        // Views inside modifiers (`.overlay { Badge() }`) belong to the same scope as the node itself
+        for (const mod of tree.modifiers) {
+            for (const child of modifierViews(mod)) resolveCustomViews(child, viewMap, { ...ctx, seen });
+        }
+        // Recurse (while still marked as seen, so self-references are cut off)
+        if (guardKey) seen.add(guardKey);
         for (const child of tree.children) {
-            resolveCustomViews(child, viewMap, seen);
+            resolveCustomViews(child, viewMap, { ...ctx, seen, owner: scope, env, state });
         }
+        if (guardKey) seen.delete(guardKey);
+        if (ctx.options && ctx.options.expandModifiers) expandCustomModifiers(tree, viewMap, { ...ctx, seen });
         return tree;
     }
 
-    function buildTreeForRoot(viewMap, rootName) {
-        const body = viewMap.get(rootName);
-        if (!body) return null;
+    // Replace a node carrying a custom modifier (`.modifier(CardStyle())` or an `extension View` function)
+    // with a Modifier node showing what it expands to. The modifier's `content` (or `self`) is replaced by the
+    // view it was applied to, together with the modifiers before it; later modifiers apply to the expansion.
+    function expandCustomModifiers(tree, viewMap, ctx) {
+        for (let idx = 0; idx < tree.modifiers.length; idx++) {
+            const target = findCustomModifier(viewMap, tree.modifiers[idx]);
+            if (!target) continue;
+            const { info, args } = target;
+            const key = `${info.kind}:${info.name}`;
+            if (ctx.seen.has(key)) continue;
+            const resolvedMods = tree.resolvedModifiers || tree.modifiers.map(() => null);
+            const applied = { ...tree, modifiers: tree.modifiers.slice(0, idx) };
+            delete applied.resolvedModifiers;
+            if (resolvedMods.slice(0, idx).some(x => x !== null)) applied.resolvedModifiers = resolvedMods.slice(0, idx);
+            const wrapper = {
+                kind: 'Modifier', name: info.kind === 'modifier' ? info.name : `${info.name}()`,
+                modifiers: tree.modifiers.slice(idx + 1), props: [], children: [],
+                loc: makeLoc(info.bodyStart, info.bodyStart + info.body.length),
+                member: { kind: info.kind, name: info.name },
+            };
+            if (info.file !== undefined) wrapper.file = info.file;
+            if (resolvedMods.slice(idx + 1).some(x => x !== null)) wrapper.resolvedModifiers = resolvedMods.slice(idx + 1);
+            // Arguments not resolved when the node was bound may still refer to the enclosing scope
+            for (const arg of args) {
+                if (arg.resolved !== undefined) continue;
+                const r = substituteNames(arg.value, ctx.env);
+                if (r && r !== arg.value) arg.resolved = r;
+            }
+            wrapper.parameters = bindArguments(info.kind === 'extension' ? info.params : info.properties || [], args);
+            const shown = wrapper.parameters.filter(p => !p.isDefault || info.kind === 'extension');
+            wrapper.props = shown.map(p => `${p.name}: ${normalizeValue(p.value)}`);
+            if (shown.some(p => p.resolved !== undefined)) wrapper.resolvedProps = shown.map(p => p.resolved === undefined ? null : `${p.name}: ${normalizeValue(p.resolved)}`);
+            const env = makeEnv(wrapper.parameters, info.kind === 'extension' ? ctx.env : null);
+            attachLineInfo(wrapper, info);
+            ctx.seen.add(key);
+            wrapper.children = parseViewBody(info, ctx.diagnostics);
+            for (const child of wrapper.children) applyBindings(child, env);
+            for (const child of wrapper.children) resolveCustomViews(child, viewMap, { ...ctx, owner: info, env, state: [] });
+            wrapper.children = wrapper.children.map(child => substitutePlaceholder(child, info.placeholder, applied, viewMap, ctx));
+            ctx.seen.delete(key);
+            for (const k of Object.keys(tree)) delete tree[k];
+            Object.assign(tree, wrapper);
+            expandCustomModifiers(tree, viewMap, ctx); // modifiers after this one may be custom too
+            return tree;
+        }
+        return tree;
+    }
+
+    // Data-flow properties of one use of a view: [{ id, view, name, wrapper, key?, type?, loc }]. Each gets an id
+    // unique in the tree, so uses (`stateUses`) and passed values (`from`) can refer to it after serialization.
+    // A property without a wrapper counts when its type is an @Observable class (wrapper 'Observable').
+    function dataFlowOf(info, viewMap, ctx) {
+        const state = [];
+        for (const p of info.state || []) {
+            const wrapper = p.wrapper || (viewMap.observables && viewMap.observables.has(p.typeName) ? 'Observable' : null);
+            if (!wrapper) continue;
+            const entry = { id: ctx.stateIds.next++, view: info.name, name: p.name, wrapper };
+            if (p.key !== undefined) entry.key = p.key;
+            if (p.type) entry.type = p.type;
+            entry.loc = { ...p.loc };
+            state.push(entry);
+        }
+        return state;
+    }
+
+    // Record what the caller passes to @Binding / @ObservedObject / @Bindable / @Observable properties: `value` is the
+    // argument as written, `from` the caller's data-flow property it refers to (a use, see findStateUses)
+    function traceStateSources(state, info, parameters, callerState) {
+        for (const entry of state) {
+            if (!PASSED_WRAPPERS.includes(entry.wrapper)) continue;
+            const name = (info.initAssignments && info.initAssignments[entry.name]) || entry.name;
+            const param = parameters.find(p => p.name === name && !p.isDefault && !p.children);
+            if (!param) continue;
+            entry.value = param.value;
+            const [from] = findStateUses([param.value], callerState);
+            if (from) entry.from = from;
+        }
+    }
+
+    // Expressions of a node written in its own scope: condition of if / guard / switch, call arguments and
+    // modifier arguments (view content excluded, it is resolved as nodes of its own)
+    function usageTexts(node) {
+        const texts = [];
+        if (node.kind === 'If' || node.kind === 'Guard' || node.kind === 'Switch') texts.push(node.name);
+        for (const arg of node.args || []) if (!arg.children) texts.push(arg.value);
+        for (const mod of node.modifiers) {
+            for (const part of [...mod.args, ...mod.closures]) if (!part.children) texts.push(part.value);
+        }
+        return texts;
+    }
+
+    // Data-flow properties of `state` the expressions refer to (`name`, `self.name`, `$name`, also in `\(...)` of
+    // string literals): [{ id, view, name, wrapper, binding? }], `binding` when passed as a binding (`$name`)
+    function findStateUses(texts, state) {
+        if (!state.length) return [];
+        const uses = new Map();
+        const queue = texts.slice();
+        while (queue.length) {
+            const { tokens } = lex(queue.shift());
+            tokens.forEach((t, i) => {
+                if (t.type === 'string') {
+                    for (const m of t.text.matchAll(/\\#*\(([^()]*)\)/g)) queue.push(m[1]);
+                    return;
+                }
+                if (t.type !== 'identifier') return;
+                const prev = tokens[i - 1];
+                if (isPunct(prev, '.') && prev.end === t.start && !(isWord(tokens[i - 2], 'self') && tokens[i - 2].end === prev.start)) return;
+                if (isPunct(tokens[i + 1], ':') && tokens[i + 1].start === t.end) return;
+                const binding = t.text.startsWith('$');
+                const entry = state.find(p => p.name === (binding ? t.text.slice(1) : t.text));
+                if (!entry) return;
+                const use = uses.get(entry.id) || { id: entry.id, view: entry.view, name: entry.name, wrapper: entry.wrapper };
+                if (binding) use.binding = true;
+                uses.set(entry.id, use);
+            });
+        }
+        return [...uses.values()];
+    }
+
+    // A lowercase leaf without arguments (`header`, `icon`) that is not a member, a stored property (or one set in
+    // init) or the placeholder of a custom modifier. Calls (`save()`) are left alone: they are usually button actions.
+    function isUnknownReference(node, owner) {
+        if (node.kind !== 'View' || node.args !== undefined || node.children.length || !/^[a-z_]\w*$/.test(node.name)) return false;
+        if (!owner) return true;
+        if (owner.placeholder === node.name) return false;
+        if (owner.initAssignments && node.name in owner.initAssignments) return false;
+        return ![...(owner.properties || []), ...(owner.initParams || [])].some(p => p.name === node.name);
+    }
+
+    // Look up the custom modifier a modifier refers to: returns { info, args } (copies, with `resolved`
+    // carried over from the bound modifier) or null
+    function findCustomModifier(viewMap, mod) {
+        if (mod.name === 'modifier' && viewMap.viewModifiers) {
+            if (mod.args.length !== 1) return null;
+            const call = /^(\w+)\s*(?:\(([\s\S]*)\))?$/;
+            const inner = call.exec(mod.args[0].value);
+            const info = inner && viewMap.viewModifiers.get(inner[1]);
+            if (!info) return null;
+            const args = parseArgsText(inner[2] || '');
+            const resolved = mod.args[0].resolved !== undefined ? call.exec(mod.args[0].resolved) : null;
+            if (resolved) {
+                parseArgsText(resolved[2] || '').forEach((r, i) => { if (args[i] && r.value !== args[i].value) args[i].resolved = r.value; });
+            }
+            return { info, args };
+        }
+        const info = viewMap.viewExtensions && viewMap.viewExtensions.get(mod.name);
+        return info ? { info, args: mod.args.map(arg => ({ ...arg })) } : null;
+    }
+
+    // Replace `content` / `self` leaves (including `content.padding()` chains and an implicit-self
+    // `modifier(...)` call) in an expanded modifier body with the view the modifier was applied to
+    function substitutePlaceholder(node, placeholder, applied, viewMap, ctx) {
+        const isLeaf = !node.children.length;
+        let chained = null; let chainedResolved = [];
+        const asCall = name => {
+            const mod = callAsModifier(name, node);
+            chained = [mod];
+            chainedResolved = [mod.args.some(a => a.resolved !== undefined) ? modifierText(mod, true) : null];
+        };
+        if (isLeaf && node.name === placeholder) chained = [];
+        else if (isLeaf && node.name.startsWith(placeholder + '.')) asCall(node.name.slice(placeholder.length + 1));
+        else if (isLeaf && placeholder === 'self' && node.name === 'modifier' && node.args) asCall('modifier');
+        if (chained) {
+            const replaced = { ...applied, modifiers: [...applied.modifiers, ...chained, ...node.modifiers] };
+            const resolved = [...(applied.resolvedModifiers || applied.modifiers.map(() => null)), ...chainedResolved, ...(node.resolvedModifiers || node.modifiers.map(() => null))];
+            if (resolved.some(x => x !== null)) replaced.resolvedModifiers = resolved;
+            else delete replaced.resolvedModifiers;
+            return expandCustomModifiers(replaced, viewMap, ctx);
+        }
+        node.children = node.children.map(child => substitutePlaceholder(child, placeholder, applied, viewMap, ctx));
+        return node;
+    }
+
+    // Rebuild argument text from [{ label, value }]; `resolved` prefers bound values where present
+    function argsToText(args, resolved = false) {
+        return args.map(a => {
+            const value = resolved && a.resolved !== undefined ? a.resolved : a.value;
+            return a.label ? `${a.label}: ${value}` : value;
+        }).join(', ');
+    }
+
+    // Call-site arguments of a custom view including its trailing closures. The unlabeled trailing
+    // closure goes to the first view-builder parameter not passed explicitly.
+    function callArguments(node, params) {
+        const args = (node.args || []).slice();
+        for (const closure of node.closures || []) {
+            let label = closure.label;
+            if (label === null) {
+                const slot = params.find(p => p.builder && !args.some(a => a.label === p.label));
+                label = slot && slot.label !== '_' ? slot.label : null;
+            }
+            args.push({ label, value: '{ … }', children: closure.children });
+        }
+        return args;
+    }
+
+    // Map the names a body uses for view content (`content`, `label`) to the bound call-site views.
+    // For init-based builders the stored property assigned from the parameter is used as well.
+    function slotContents(info, bound) {
+        const slots = new Map();
+        for (const b of bound) if (b.children) slots.set(b.name, b.children);
+        for (const [prop, param] of Object.entries(info.initAssignments || {})) {
+            if (slots.has(param)) slots.set(prop, slots.get(param));
+        }
+        return slots;
+    }
+
+    // Replace references to view-content slots (`content`, `self.content`, `content()`, `content(item)`,
+    // `content.padding()`) in a freshly parsed body with Slot nodes holding the call-site views
+    function fillSlots(nodes, slots) {
+        if (!slots.size) return;
+        nodes.forEach((node, idx) => {
+            if (node.children.length) { fillSlots(node.children, slots); return; }
+            const name = node.name.replace(/^self\./, '');
+            const dot = name.indexOf('.');
+            const slotName = dot >= 0 ? name.slice(0, dot) : name;
+            if (!slots.has(slotName)) return;
+            const modifiers = node.modifiers.slice();
+            if (dot >= 0) modifiers.unshift(callAsModifier(name.slice(dot + 1), node));
+            nodes[idx] = { kind: 'Slot', name: slotName, modifiers, props: dot < 0 && node.props.length ? node.props : [], children: slots.get(slotName), loc: node.loc };
+        });
+    }
+
+    // Find the @ViewBuilder property (referenced without arguments) or helper function (called with
+    // arguments) of the owner struct that a leaf node refers to
+    function findMember(owner, node) {
+        if (!owner.members || node.children.length) return null;
+        const member = owner.members.get(node.name.replace(/^self\./, ''));
+        if (!member) return null;
+        const called = node.args !== undefined;
+        return (member.kind === 'function') === called ? member : null;
+    }
+
+    // options.expandModifiers: show what custom ViewModifiers / `extension View` modifiers expand to
+    // options.diagnostics: an array that receives the problems found in the bodies that were parsed
+    // options.inlineViews: false leaves references to custom views as they are written (members of the root are
+    // still inlined), for looking at one struct's own body
+    // Data flow: inlined CustomView nodes list their data-flow properties in `state` (the root view's are in the
+    // returned node's `rootState`), nodes referring to them list those in `stateUses` (see dataFlowOf)
+    function buildTreeForRoot(viewMap, rootName, options = {}) {
+        const info = viewMap.get(rootName);
+        if (!info) return null;
+        // The root has no call site: its properties resolve to their declared defaults
+        const ctx = { seen: new Set([rootName]), owner: info, options, diagnostics: options.diagnostics || null, env: makeEnv(bindArguments(info.properties || [], [])), stateIds: { next: 0 } };
+        ctx.state = dataFlowOf(info, viewMap, ctx);
         // Expect body has one top-level expression that is the root
-        const kids = parseChildrenBlock(body);
-        if (kids.length === 1) {
-            const root = kids[0];
-            resolveCustomViews(root, viewMap);
-            return root;
-        }
-        // If multiple, wrap with Group
-        const root = { name: 'Group', kind: 'View', modifiers: [], children: kids };
-        resolveCustomViews(root, viewMap);
+        const kids = parseViewBody(info, ctx.diagnostics);
+        for (const node of kids) applyBindings(node, ctx.env);
+        if (info.entry === 'app') markScenes(kids);
+        let root = kids[0];
+        if (kids.length !== 1) {
+            // If multiple, wrap with Group
+            root = { name: 'Group', kind: 'View', modifiers: [], children: kids, loc: makeLoc(info.bodyStart, info.bodyStart + info.body.length) };
+            attachLineInfo(root, info);
+        }
+        resolveCustomViews(root, viewMap, ctx);
+        markInlined(root, false);
+        if (ctx.state.length) root.rootState = ctx.state;
         return root;
     }
 
+    // Nodes from the body of an inlined custom view or an expanded modifier get `inlined`: their locations point into
+    // that body, not at the call site. Views in the modifiers of the custom view node itself are the caller's.
+    function markInlined(node, inside) {
+        if (inside) node.inlined = true;
+        for (const mod of node.modifiers || []) for (const child of modifierViews(mod)) markInlined(child, inside);
+        const below = inside || node.kind === 'CustomView' || node.kind === 'Modifier';
+        for (const child of node.children || []) markInlined(child, below);
+    }
+
+    // Scenes of an App body (WindowGroup, Settings, ...) get kind 'Scene', also inside Group, #if and if
+    function markScenes(nodes) {
+        for (const node of nodes) {
+            if (SCENE_TYPES.includes(node.name)) node.kind = 'Scene';
+            else if (node.name === 'Group' || ['CompileIf', 'If', 'Branch'].includes(node.kind)) markScenes(node.children);
+        }
+    }
+
+    // Parse several files ([{ name, source }]) into one viewMap so views, modifiers and extensions
+    // resolve across files. Every view info (and every node location) records its `file`.
+    // A view declared in more than one file keeps the last declaration; `viewMap.duplicates` lists the names.
+    function extractProject(files) {
+        const viewMap = new Map();
+        viewMap.viewModifiers = new Map();
+        viewMap.viewExtensions = new Map();
+        viewMap.observables = new Set();
+        viewMap.duplicates = [];
+        viewMap.diagnostics = [];
+        for (const { name, source } of files) {
+            const map = extractViews(source, name);
+            viewMap.diagnostics.push(...map.diagnostics);
+            for (const [view, info] of map) {
+                // Previews are numbered across files rather than replaced
+                if (info.entry === 'preview') { addEntry(viewMap, info); continue; }
+                if (viewMap.has(view)) viewMap.duplicates.push(view);
+                viewMap.set(view, info);
+            }
+            for (const [key, info] of map.viewModifiers) viewMap.viewModifiers.set(key, info);
+            for (const [key, info] of map.viewExtensions) viewMap.viewExtensions.set(key, info);
+            for (const name of map.observables) viewMap.observables.add(name);
+        }
+        return viewMap;
+    }
+
+    // Root names, entry points first: the @main App and other Apps, then views (names like ContentView, MainView,
+    // AppView first), then previews in declaration order
     function collectRootCandidates(viewMap) {
         const names = Array.from(viewMap.keys());
-        // Prefer names like ContentView, MainView, AppView
-        names.sort((a, b) => {
-            const score = name => (/ContentView|MainView|Root|App/i.test(name) ? 0 : 1);
-            return score(a) - score(b) || a.localeCompare(b);
-        });
+        const score = (name) => {
+            const info = viewMap.get(name);
+            if (info.entry === 'app') return info.main ? 0 : 1;
+            if (info.entry === 'preview') return 4;
+            return /ContentView|MainView|Root|App/i.test(name) ? 2 : 3;
+        };
+        names.sort((a, b) => score(a) - score(b) || (score(a) === 4 ? 0 : a.localeCompare(b)));
         return names;
     }
 
+    // Everything the page shows for one parse of a project, as plain data (parse-worker.js posts it back as is):
+    // { candidates: [{ name, file, entry? }], root, file, tree, duplicates, diagnostics, before? }
+    // - entry is 'app' or 'preview' for roots that are not views (see extractEntryPoints)
+    // - root is options.root while it is still declared, else the first candidate; tree is null if none could be built
+    // - with options.before (the previous version's source, compare mode) `before` is the same root's tree in it, or null
+    // Diagnostics go to options.diagnostics when given, so the caller keeps them if parsing throws.
+    // options.viewMap: extractProject(files) when the caller already has it (to reuse it, e.g. for the navigation graph)
+    function parseProject(files, options = {}) {
+        const diagnostics = options.diagnostics || [];
+        const viewMap = options.viewMap || extractProject(files);
+        diagnostics.push(...viewMap.diagnostics);
+        const names = collectRootCandidates(viewMap);
+        const root = names.includes(options.root) ? options.root : (names[0] || null);
+        const treeOptions = { expandModifiers: Boolean(options.expandModifiers) };
+        const result = {
+            candidates: names.map((name) => {
+                const { file, entry } = viewMap.get(name);
+                return entry ? { name, file, entry } : { name, file };
+            }),
+            root,
+            file: root ? viewMap.get(root).file : undefined,
+            tree: root ? buildTreeForRoot(viewMap, root, { ...treeOptions, diagnostics }) : null,
+            duplicates: Array.from(new Set(viewMap.duplicates)),
+            diagnostics,
+        };
+        if (typeof options.before === 'string' && root) {
+            const beforeMap = extractViews(options.before);
+            result.before = beforeMap.has(root) ? buildTreeForRoot(beforeMap, root, treeOptions) : null;
+        }
+        return result;
+    }
+
+    // Structural diff of two trees from buildTreeForRoot (either may be null). Returns one merged tree whose
+    // nodes are the "after" nodes (or "before" nodes for removals) with
+    // diff = { status, props, modifiers, beforeLoc?, beforeName?, from? }:
+    // - status: 'same' | 'changed' | 'added' | 'removed' | 'moved' (reordered, or moved from another parent `from`)
+    // - props / modifiers: [{ text, status: 'same' | 'changed' | 'added' | 'removed', before? }]
+    // Removed nodes keep their location in `beforeLoc` only, so `loc` always refers to the "after" source.
+    function diffTrees(before, after) {
+        if (!before && !after) return null;
+        const moves = [];
+        const merged = before && after ? diffNode(before, after, [], moves) : markSubtree(before || after, before ? 'removed' : 'added');
+        matchMoves(moves);
+        return merged;
+    }
+
+    const nodeKey = node => `${node.kind || 'View'}:${node.name}`;
+    const nodeSignature = node => `${nodeKey(node)}(${(node.props || []).join(', ')})${(node.modifiers || []).map(m => `.${m.text}`).join('')}`;
+
+    function diffNode(a, b, path, moves) {
+        const props = diffList(a.props || [], b.props || [], prop => { const m = /^(\w+):/.exec(prop); return m ? m[1] : prop; }, prop => prop);
+        const modifiers = diffList(a.modifiers || [], b.modifiers || [], mod => mod.name, mod => mod.text);
+        const changed = nodeKey(a) !== nodeKey(b) || props.some(p => p.status !== 'same') || modifiers.some(m => m.status !== 'same');
+        const node = { ...b, diff: { status: changed ? 'changed' : 'same', props, modifiers } };
+        if (a.loc) node.diff.beforeLoc = a.loc;
+        if (a.name !== b.name) node.diff.beforeName = a.name;
+        node.children = diffChildren(a.children || [], b.children || [], [...path, b.name], moves);
+        return node;
+    }
+
+    // Every node of a subtree marked as added or removed
+    function markSubtree(node, status) {
+        const mark = item => ({ text: item, status });
+        const out = { ...node, diff: { status, props: (node.props || []).map(mark), modifiers: (node.modifiers || []).map(m => mark(m.text)) } };
+        if (status === 'removed') { out.diff.beforeLoc = node.loc; delete out.loc; }
+        out.children = (node.children || []).map(child => markSubtree(child, status));
+        return out;
+    }
+
+    function diffChildren(as, bs, path, moves) {
+        // Identical children first, then children of the same kind and name within the remaining gaps
+        const ops = align(as, bs, nodeSignature);
+        const refined = [];
+        for (let k = 0; k < ops.length;) {
+            if (ops[k].a !== undefined && ops[k].b !== undefined) { refined.push(ops[k++]); continue; }
+            const gap = [];
+            while (k < ops.length && !(ops[k].a !== undefined && ops[k].b !== undefined)) gap.push(ops[k++]);
+            const gapA = gap.filter(op => op.a !== undefined).map(op => op.a);
+            const gapB = gap.filter(op => op.b !== undefined).map(op => op.b);
+            for (const op of align(gapA.map(i => as[i]), gapB.map(j => bs[j]), nodeKey)) {
+                refined.push({ a: op.a === undefined ? undefined : gapA[op.a], b: op.b === undefined ? undefined : gapB[op.b] });
+            }
+        }
+        // Leftovers with the same kind and name on both sides were reordered among the siblings
+        const removed = refined.filter(op => op.b === undefined);
+        const movedFrom = new Map();
+        for (const op of refined) {
+            if (op.a !== undefined) continue;
+            const from = removed.find(r => !movedFrom.has(r) && nodeKey(as[r.a]) === nodeKey(bs[op.b]));
+            if (from) movedFrom.set(from, op);
+        }
+        const pairs = new Map(Array.from(movedFrom, ([from, to]) => [to, from]));
+        const merged = [];
+        for (const op of refined) {
+            if (op.a !== undefined && op.b !== undefined) merged.push(diffNode(as[op.a], bs[op.b], path, moves));
+            else if (op.a === undefined && pairs.has(op)) {
+                const node = diffNode(as[pairs.get(op).a], bs[op.b], path, moves);
+                node.diff.changed = node.diff.status === 'changed';
+                node.diff.status = 'moved';
+                merged.push(node);
+            } else if (op.a === undefined) {
+                const node = markSubtree(bs[op.b], 'added');
+                merged.push(node);
+                moves.push({ node: bs[op.b], merged: node, siblings: merged, path });
+            } else if (!movedFrom.has(op)) {
+                const node = markSubtree(as[op.a], 'removed');
+                merged.push(node);
+                moves.push({ node: as[op.a], merged: node, siblings: merged, path });
+            }
+        }
+        return merged;
+    }
+
+    // Longest common subsequence of two lists by key: [{ a?, b? }] in order (a / b are indices)
+    function align(as, bs, keyFn) {
+        const ka = as.map(keyFn); const kb = bs.map(keyFn);
+        const lcs = Array.from({ length: as.length + 1 }, () => new Array(bs.length + 1).fill(0));
+        for (let i = as.length - 1; i >= 0; i--) {
+            for (let j = bs.length - 1; j >= 0; j--) {
+                lcs[i][j] = ka[i] === kb[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        const ops = [];
+        let i = 0; let j = 0;
+        while (i < as.length || j < bs.length) {
+            if (i < as.length && j < bs.length && ka[i] === kb[j]) ops.push({ a: i++, b: j++ });
+            else if (j < bs.length && (i >= as.length || lcs[i][j + 1] >= lcs[i + 1][j])) ops.push({ b: j++ });
+            else ops.push({ a: i++ });
+        }
+        return ops;
+    }
+
+    // Diff two lists (props or modifiers) matched by key; items with the same key but different text are changed
+    function diffList(as, bs, keyFn, textFn) {
+        return align(as, bs, keyFn).map(op => {
+            if (op.b === undefined) return { text: textFn(as[op.a]), status: 'removed' };
+            if (op.a === undefined) return { text: textFn(bs[op.b]), status: 'added' };
+            const before = textFn(as[op.a]); const text = textFn(bs[op.b]);
+            return before === text ? { text, status: 'same' } : { text, status: 'changed', before };
+        });
+    }
+
+    // Subtrees removed under one parent and added under another with the same kind, name and props were moved
+    function matchMoves(moves) {
+        for (let k = 0; k < moves.length; k++) {
+            const removed = moves[k];
+            if (removed.merged.diff.status !== 'removed' || removed.done) continue;
+            const key = `${nodeKey(removed.node)}(${(removed.node.props || []).join(', ')})`;
+            const added = moves.find(m => !m.done && m.merged.diff.status === 'added' && `${nodeKey(m.node)}(${(m.node.props || []).join(', ')})` === key);
+            if (!added) continue;
+            removed.done = added.done = true;
+            const node = diffNode(removed.node, added.node, added.path, moves);
+            node.diff.changed = node.diff.status === 'changed';
+            node.diff.status = 'moved';
+            node.diff.from = removed.path.join(' › ');
+            added.siblings[added.siblings.indexOf(added.merged)] = node;
+            removed.siblings.splice(removed.siblings.indexOf(removed.merged), 1);
+        }
+    }
+
     // Public API (browser + Node)
     const SwiftUIParserAPI = {
         extractViews,
+        extractProject,
         buildTreeForRoot,
         collectRootCandidates,
+        parseProject,
+        diffTrees,
     };
-    if (typeof window !== 'undefined') window.SwiftUIParser = SwiftUIParserAPI;
+    // `self` is the page's window, or the global scope of parse-worker.js
+    if (typeof self !== 'undefined') self.SwiftUIParser = SwiftUIParserAPI;
     if (typeof module !== 'undefined' && module.exports) module.exports = SwiftUIParserAPI;
 })();
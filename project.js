@@ -0,0 +1,99 @@
+// Load Swift sources for multi-file project mode
+// - Files picked with <input type="file"> (multiple files, or a folder via webkitdirectory)
+// - Files and folders dropped on the page (DataTransfer entries, traversed recursively)
+// - .zip archives (stored or deflated entries, inflated with DecompressionStream)
+// Every loader resolves to [{ name, source }] sorted by name, keeping only .swift files.
+
+(function () {
+    const isSwift = name => /\.swift$/i.test(name) && !/(^|\/)(__MACOSX|\.)/.test(name);
+    const isZip = name => /\.zip$/i.test(name);
+
+    function sortFiles(files) {
+        return files.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // FileList from an <input type="file">
+    async function readFileList(fileList) {
+        const files = [];
+        for (const file of Array.from(fileList)) {
+            const name = file.webkitRelativePath || file.name;
+            if (isZip(name)) files.push(...await readZip(await file.arrayBuffer()));
+            else if (isSwift(name)) files.push({ name, source: await file.text() });
+        }
+        return sortFiles(files);
+    }
+
+    // DataTransfer from a drop event; folders are walked with the FileSystem entry API
+    async function readDataTransfer(dataTransfer) {
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+            .filter(Boolean);
+        if (!entries.length) return readFileList(dataTransfer.files);
+        const files = [];
+        for (const entry of entries) files.push(...await readEntry(entry, ''));
+        return sortFiles(files);
+    }
+
+    async function readEntry(entry, prefix) {
+        const name = prefix + entry.name;
+        if (entry.isDirectory) {
+            const out = [];
+            for (const child of await readAllEntries(entry.createReader())) out.push(...await readEntry(child, name + '/'));
+            return out;
+        }
+        if (!isSwift(name) && !isZip(name)) return [];
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        if (isZip(name)) return readZip(await file.arrayBuffer());
+        return [{ name, source: await file.text() }];
+    }
+
+    // readEntries returns results in batches until it yields an empty list
+    async function readAllEntries(reader) {
+        const all = [];
+        for (;;) {
+            const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (!batch.length) return all;
+            all.push(...batch);
+        }
+    }
+
+    // Minimal zip reader: walks the central directory and inflates .swift entries
+    async function readZip(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        // End of central directory record: signature 0x06054b50, searched from the end (comment may follow)
+        let eocd = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+        }
+        if (eocd < 0) throw new Error('不是有效的 zip 檔');
+        const count = view.getUint16(eocd + 10, true);
+        let ptr = view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder();
+        const files = [];
+        for (let n = 0; n < count; n++) {
+            if (view.getUint32(ptr, true) !== 0x02014b50) break;
+            const method = view.getUint16(ptr + 10, true);
+            const compressedSize = view.getUint32(ptr + 20, true);
+            const nameLen = view.getUint16(ptr + 28, true);
+            const extraLen = view.getUint16(ptr + 30, true);
+            const commentLen = view.getUint16(ptr + 32, true);
+            const localOffset = view.getUint32(ptr + 42, true);
+            const name = decoder.decode(bytes.subarray(ptr + 46, ptr + 46 + nameLen));
+            ptr += 46 + nameLen + extraLen + commentLen;
+            if (!isSwift(name)) continue;
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+            if (method === 0) files.push({ name, source: decoder.decode(data) });
+            else if (method === 8) files.push({ name, source: decoder.decode(await inflateRaw(data)) });
+        }
+        return sortFiles(files);
+    }
+
+    async function inflateRaw(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    window.SwiftUIProject = { readFileList, readDataTransfer, readZip };
+})();
@@ -0,0 +1,170 @@
+// Selector queries over a view hierarchy (the tree returned by buildTreeForRoot), similar to CSS selectors:
+//   Text                        nodes named Text (or Text.xxx), or of kind Text
+//   CustomView:InfoSectionView  kind and name together
+//   *                           any node
+//   VStack > Image              Image that is a direct child of a VStack
+//   CustomView:InfoSectionView Text   Text anywhere below it
+//   *[modifier=shadow]          nodes with a .shadow modifier
+//   [modifier*="radius: 10"]    modifier text contains; also ^= (starts with) and $= (ends with)
+//   VStack[spacing=20]          other attribute names are argument labels; [spacing] only checks the label
+//   [prop*=簡介] [name^=if] [kind=If] [file$=Card.swift]
+//   Text, Image                 either selector
+// Usable from the page (window.SwiftUIQuery) and from Node (module.exports).
+
+(function () {
+    const OPERATORS = ['*=', '^=', '$=', '='];
+
+    // Parse a selector list into [[{ combinator, kind, name, attrs }]]; throws on syntax errors
+    function parse(text) {
+        let i = 0; const n = text.length;
+        const fail = message => { throw new Error(`${message}（位置 ${i + 1}）`); };
+        const skipSpace = () => { const from = i; while (i < n && /\s/.test(text[i])) i++; return i > from; };
+        const ident = () => {
+            const m = /^[\w.#$]+/.exec(text.slice(i));
+            if (!m) return null;
+            i += m[0].length;
+            return m[0];
+        };
+        const value = () => {
+            const quote = text[i];
+            if (quote === '"' || quote === "'") {
+                const end = text.indexOf(quote, i + 1);
+                if (end < 0) fail('引號未結束');
+                const v = text.slice(i + 1, end);
+                i = end + 1;
+                return v;
+            }
+            const m = /^[^\]]*/.exec(text.slice(i));
+            i += m[0].length;
+            return m[0].trim();
+        };
+        const compound = () => {
+            const part = { kind: null, name: null, any: false, attrs: [] };
+            if (text[i] === '*') { part.any = true; i++; } else {
+                const first = ident();
+                if (first !== null && text[i] === ':') {
+                    i++;
+                    part.kind = first;
+                    part.name = ident();
+                    if (part.name === null) fail(`${first}: 後面需要名稱`);
+                } else if (first !== null) {
+                    part.name = first; part.orKind = true;
+                }
+            }
+            while (text[i] === '[') {
+                i++; skipSpace();
+                const name = ident();
+                if (!name) fail('[ ] 內需要屬性名稱');
+                skipSpace();
+                const op = OPERATORS.find(o => text.startsWith(o, i));
+                const attr = { name, op: op || null, value: null };
+                if (op) { i += op.length; skipSpace(); attr.value = value(); skipSpace(); }
+                if (text[i] !== ']') fail('缺少 ]');
+                i++;
+                part.attrs.push(attr);
+            }
+            if (!part.any && part.name === null && !part.attrs.length) fail('需要名稱、* 或 [屬性]');
+            return part;
+        };
+
+        const selectors = [];
+        let current = [];
+        skipSpace();
+        if (i >= n) fail('空的選擇器');
+        while (i < n) {
+            let combinator = current.length ? ' ' : null;
+            const spaced = skipSpace();
+            if (i >= n) break;
+            if (text[i] === ',') {
+                if (!current.length) fail('多餘的 ,');
+                selectors.push(current); current = []; i++; skipSpace();
+                continue;
+            }
+            if (text[i] === '>') {
+                if (!current.length) fail('> 前面需要選擇器');
+                combinator = '>'; i++; skipSpace();
+            } else if (current.length && !spaced) fail(`無法解析「${text[i]}」`);
+            current.push({ combinator, ...compound() });
+        }
+        if (!current.length) fail('選擇器不完整');
+        selectors.push(current);
+        return selectors;
+    }
+
+    function compare(actual, op, expected) {
+        if (actual === undefined || actual === null) return false;
+        if (op === '=') return actual === expected;
+        if (op === '*=') return actual.includes(expected);
+        if (op === '^=') return actual.startsWith(expected);
+        return actual.endsWith(expected);
+    }
+
+    // `Text` matches Text, Text.xxx (Color matches Color.red) and, for bare names, the node kind
+    function nameMatches(name, wanted) {
+        return name === wanted || name.startsWith(wanted + '.');
+    }
+
+    function matchAttr(node, attr) {
+        const test = candidates => candidates.some(c => (attr.op ? compare(c, attr.op, attr.value) : true));
+        switch (attr.name) {
+            case 'name': return test([node.name]);
+            case 'kind': return test([node.kind || 'View']);
+            case 'file': return test([node.file || (node.loc && node.loc.file)].filter(Boolean));
+            case 'prop': return test(node.props || []);
+            case 'modifier': {
+                const mods = node.modifiers || [];
+                // `=` compares modifier names, the other operators the whole modifier text
+                return test(mods.map(m => (attr.op === '=' ? m.name : m.text)));
+            }
+            default: {
+                const args = (node.args || []).filter(a => a.label === attr.name);
+                return test(args.map(a => a.value));
+            }
+        }
+    }
+
+    function matchCompound(part, node) {
+        if (part.kind !== null && (node.kind || 'View') !== part.kind) return false;
+        if (part.name !== null && !nameMatches(node.name, part.name) && !(part.orKind && (node.kind || 'View') === part.name)) return false;
+        return part.attrs.every(attr => matchAttr(node, attr));
+    }
+
+    // Match a complex selector right to left; `ancestors` runs from the root to the node's parent
+    function matchComplex(parts, idx, node, ancestors) {
+        if (!matchCompound(parts[idx], node)) return false;
+        if (idx === 0) return true;
+        if (parts[idx].combinator === '>') {
+            return ancestors.length > 0 && matchComplex(parts, idx - 1, ancestors[ancestors.length - 1], ancestors.slice(0, -1));
+        }
+        for (let k = ancestors.length - 1; k >= 0; k--) {
+            if (matchComplex(parts, idx - 1, ancestors[k], ancestors.slice(0, k))) return true;
+        }
+        return false;
+    }
+
+    function matches(selector, node, ancestors = []) {
+        const selectors = typeof selector === 'string' ? parse(selector) : selector;
+        return selectors.some(parts => matchComplex(parts, parts.length - 1, node, ancestors));
+    }
+
+    // All nodes of the tree matching the selector, in document order; views inside modifiers (`.sheet { ... }`)
+    // come after the node's children, with the node as their parent
+    function queryAll(tree, selector) {
+        const selectors = typeof selector === 'string' ? parse(selector) : selector;
+        const found = [];
+        (function walk(node, ancestors) {
+            if (matches(selectors, node, ancestors)) found.push(node);
+            const path = [...ancestors, node];
+            for (const child of node.children || []) walk(child, path);
+            for (const mod of node.modifiers || []) {
+                for (const part of [...mod.args, ...mod.closures]) for (const child of part.children || []) walk(child, path);
+            }
+        })(tree, []);
+        return found;
+    }
+
+    // Public API (browser + Node)
+    const SwiftUIQueryAPI = { parse, matches, queryAll };
+    if (typeof window !== 'undefined') window.SwiftUIQuery = SwiftUIQueryAPI;
+    if (typeof module !== 'undefined' && module.exports) module.exports = SwiftUIQueryAPI;
+})();
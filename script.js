@@ -9,8 +9,47 @@
     const expandAllBtn = $('#expandAll');
     const collapseAllBtn = $('#collapseAll');
     const rootSelect = $('#rootSelect');
+    const expandModifiers = $('#expandModifiers');
+    const layersToggle = $('#layersToggle');
+    const layersMenu = $('#layersMenu');
+    const inputPanel = $('.input-panel');
+    const fileTabs = $('#fileTabs');
+    const openFiles = $('#openFiles');
+    const openFolder = $('#openFolder');
+    const fileInput = $('#fileInput');
+    const folderInput = $('#folderInput');
+    const exportMenu = $('#exportMenu');
+    const componentsMenu = $('#componentsMenu');
+    const componentsInput = $('#componentsInput');
+    const lintMenu = $('#lintMenu');
+    const findingsPanel = $('#findingsPanel');
+    const diagnosticsPanel = $('#diagnosticsPanel');
+    const compareToggle = $('#compareToggle');
+    const beforePane = $('#beforePane');
+    const beforeInput = $('#beforeInput');
+    const outHint = $('#outHint');
+    const searchInput = $('#searchInput');
+    const searchCount = $('#searchCount');
+    const searchPrev = $('#searchPrev');
+    const searchNext = $('#searchNext');
+    const searchHide = $('#searchHide');
+    const wireframeToggle = $('#wireframeToggle');
+    const previewPanel = $('#previewPanel');
+    const wireframe = $('#wireframe');
+    const sidePanels = $('#sidePanels');
+    const metricsToggle = $('#metricsToggle');
+    const metricsPanel = $('#metricsPanel');
+    const metricsView = $('#metrics');
+    const navigationToggle = $('#navigationToggle');
+    const navigationPanel = $('#navigationPanel');
+    const navigationGraph = $('#navigationGraph');
+    const editModeToggle = $('#editMode');
+    const historyMenu = $('#historyMenu');
+    const shareLink = $('#shareLink');
+    const defaultHint = outHint.textContent;
     const showReadme = $('#showReadme');
     const starfield = document.querySelector('#starfield');
+    const editor = SwiftUIEditor.attach(codeInput);
     // B‑612 image fallback: if image load fails, revert to CSS planet
     const planet = document.querySelector('.b612-planet');
     const img = planet?.querySelector('.b612-img');
@@ -21,12 +60,251 @@
         });
     }
 
+    // Nodes of the current tree paired with their rows and paths (see childPaths), for source <-> tree linking
+    let renderedNodes = [];
+    // Modifier rows of the layers view and their paths (the node's path, `@` and the modifier index)
+    let renderedLayers = [];
+    // Project files shown in the editor; in paste mode a single unnamed file
+    let files = [{ name: undefined, source: '' }];
+    let activeFile = 0;
+    // Sources of the last parse reply (per file); set once something was parsed
+    let parsedSources = [];
+    // Parser diagnostics listed under the editor; those of the active file are underlined in it
+    let shownDiagnostics = [];
+    // Live parsing: edits are parsed PARSE_DELAY ms after the last keystroke, in parse-worker.js when the page can
+    // start workers (not from file://), else on the main thread. One request runs at a time; while it runs only the
+    // latest newer request is kept and sent after it.
+    const PARSE_DELAY = 300;
+    let parseTimer = 0;
+    let parseId = 0;
+    let runningParse = null;
+    let pendingParse = null;
+    let parseWorker = createParseWorker();
+    // Root and expanded rows to show after the next parse, when a session is restored
+    let restoredView = null;
+    // Session (see session.js) kept in the URL hash and in the history entry `sessionId`, SESSION_DELAY ms after
+    // the last change to what is shown
+    const SESSION_DELAY = 1000;
+    let sessionId = SwiftUISession.newId();
+    let sessionTimer = 0;
+    // Tree and root name of the last successful parse, for export
+    let currentTree = null;
+    let currentRoot = '';
+    let currentFile;
+    // Sources the current tree was parsed from (per file); its locations are only valid while a file still holds them
+    let currentSources = [];
+    // Compare mode: the tree shows the structural diff of the "before" pane against the editor
+    let compareMode = false;
+    // Lint rule settings (rule id -> false or { option: value }), kept in localStorage
+    const LINT_STORAGE_KEY = 'swiftui-view-hierarchy.lint';
+    let lintConfig = loadLintConfig();
+    // Custom component definitions (see components.js), kept in localStorage and sent with every parse
+    const COMPONENTS_STORAGE_KEY = 'swiftui-view-hierarchy.components';
+    loadComponents();
+    // Modifier layers mode and the modifier categories left out of the tree (see layers.js), kept in localStorage
+    const MODIFIERS_STORAGE_KEY = 'swiftui-view-hierarchy.modifiers';
+    let { layers: modifierLayers, hidden: hiddenCategories } = loadModifierView();
+    // Lint findings of the rendered tree per node, for the badges
+    let findingsByNode = new Map();
+    // Rows matching the search box, in tree order, and the one navigated to
+    let searchMatches = [];
+    let searchIndex = -1;
+    // Wireframe boxes of the rendered tree per node, for hover linking with the rows
+    let wireframeBoxes = new Map();
+    // Metrics of the rendered tree and the sort order of each metrics table
+    let currentMetrics = null;
+    // Edit mode: rows get actions and can be dragged; the node / modifier being dragged
+    let editMode = false;
+    let draggedNode = null;
+    let draggedModifier = null;
+    // Screen navigation graph of the last parse (only computed while its panel is shown), its zoom / pan and controls
+    let currentGraph = null;
+    let navigationView = null;
+    let graphControls = null;
+    const metricsSort = { modifiers: { key: 'count', desc: true }, customViews: { key: 'count', desc: true }, structs: { key: 'score', desc: true } };
+
+    // Whether the file still holds the text the rendered tree was parsed from (the editor's text for the active file)
+    function isParsed(index) {
+        const source = index === activeFile ? codeInput.value : files[index].source;
+        return currentSources[index] !== undefined && source === currentSources[index];
+    }
+
+    function fileIndex(name) {
+        const index = files.findIndex(f => f.name === name);
+        return index < 0 ? 0 : index;
+    }
+
+    function baseName(name) {
+        return name.split('/').pop();
+    }
+
+    // Replace the project with loaded files (or an empty paste-mode file)
+    function setFiles(list) {
+        files = list.length ? list : [{ name: undefined, source: '' }];
+        activeFile = 0;
+        sessionId = SwiftUISession.newId();
+        navigationView = null;
+        parsedSources = [];
+        currentSources = [];
+        renderDiagnostics([]);
+        setEditorText(files[0].source);
+        renderFileTabs();
+    }
+
+    function showFile(index) {
+        files[activeFile].source = codeInput.value;
+        activeFile = index;
+        setEditorText(files[index].source);
+        renderFileTabs();
+    }
+
+    function setEditorText(text) {
+        codeInput.value = text;
+        editor.refresh();
+        showEditorDiagnostics();
+    }
+
+    function renderFileTabs() {
+        fileTabs.innerHTML = '';
+        fileTabs.hidden = files.length === 1 && files[0].name === undefined;
+        if (fileTabs.hidden) return;
+        files.forEach((file, index) => {
+            const tab = document.createElement('button');
+            tab.className = 'file-tab' + (index === activeFile ? ' active' : '');
+            tab.textContent = baseName(file.name);
+            tab.title = file.name;
+            tab.addEventListener('click', () => showFile(index));
+            fileTabs.appendChild(tab);
+        });
+        const close = document.createElement('button');
+        close.className = 'file-tab close';
+        close.textContent = '✕ 關閉專案';
+        close.title = '回到貼上模式';
+        close.addEventListener('click', () => { setFiles([]); rootSelect.innerHTML = ''; });
+        fileTabs.appendChild(close);
+    }
+
+    async function loadProject(promise) {
+        setError('');
+        try {
+            const loaded = await promise;
+            if (!loaded.length) { setError('沒有找到任何 .swift 檔案'); return; }
+            setFiles(loaded);
+            parseNow();
+        } catch (err) {
+            console.error(err);
+            setError('讀取檔案失敗：' + (err?.message || String(err)));
+        }
+    }
+
     function setError(msg) {
         if (!msg) { errorBox.hidden = true; errorBox.textContent = ''; return; }
         errorBox.hidden = false; errorBox.textContent = msg;
     }
 
-    function renderTree(node, parentUl) {
+    // Parsed values are kept in full; long ones are shortened on screen only (the full text is in the tooltip)
+    const CHIP_MAX = 60;
+    function truncate(text) {
+        return text.length > CHIP_MAX ? text.slice(0, CHIP_MAX - 3) + '…' : text;
+    }
+
+    function makeChip(className, text) {
+        const chip = document.createElement('span');
+        chip.className = className;
+        chip.textContent = truncate(text);
+        if (text.length > CHIP_MAX) chip.title = text;
+        return chip;
+    }
+
+    // Show the value bound from the call site next to the original expression
+    function appendResolved(chip, resolved) {
+        if (!resolved) return;
+        const value = document.createElement('span');
+        value.className = 'resolved';
+        value.textContent = ` ⇒ ${truncate(resolved)}`;
+        chip.title = `${chip.title ? chip.title + '\n' : ''}呼叫端綁定：${resolved}`;
+        chip.appendChild(value);
+    }
+
+    const stateLabel = entry => (entry.wrapper === 'Observable' ? entry.name : `@${entry.wrapper}${entry.key !== undefined ? `(${entry.key})` : ''} ${entry.name}`);
+
+    // A data-flow property declared by the view (see dataFlowOf in parser.js), with where its value comes from
+    function makeStateChip(entry) {
+        const text = `${stateLabel(entry)}${entry.type ? `: ${entry.type}` : ''}`;
+        const chip = makeChip(`state-chip state-${entry.wrapper.toLowerCase()}`, entry.from ? `${text} ← ${entry.from.view}.${entry.from.binding ? '$' : ''}${entry.from.name}` : text);
+        const lines = [`${entry.view} 的${entry.wrapper === 'Observable' ? ' @Observable 物件' : '狀態'} · 第 ${entry.loc.line} 行`];
+        if (entry.value !== undefined) lines.push(`呼叫端傳入：${entry.value}`);
+        if (entry.from) lines.push(`來自 ${entry.from.view} 的 ${stateLabel(entry.from)}`);
+        lines.push('點擊以標示此狀態流經的節點');
+        chip.title = lines.join('\n');
+        chip.addEventListener('click', (e) => { e.stopPropagation(); traceState(entry.id); });
+        return chip;
+    }
+
+    // A reference to a data-flow property in the node's arguments, condition or modifiers
+    function makeStateUseChip(use) {
+        const chip = makeChip(`state-use state-${use.wrapper.toLowerCase()}`, `${use.binding ? '$' : ''}${use.name}`);
+        chip.title = `使用 ${use.view} 的 ${stateLabel(use)}${use.binding ? ' (綁定)' : ''}\n點擊以標示此狀態流經的節點`;
+        chip.addEventListener('click', (e) => { e.stopPropagation(); traceState(use.id); });
+        return chip;
+    }
+
+    // Follow a data-flow property up to where it is declared and down to every property it is passed on to; the
+    // rows declaring or using any of them are marked and the clicked property's declaration is selected
+    function traceState(id) {
+        const declared = new Map();
+        for (const { node } of renderedNodes) {
+            for (const entry of [...(node.rootState || []), ...(node.state || [])]) declared.set(entry.id, { entry, node });
+        }
+        if (!declared.has(id)) return;
+        let source = declared.get(id);
+        while (source.entry.from && declared.has(source.entry.from.id)) source = declared.get(source.entry.from.id);
+        const flow = new Set([source.entry.id]);
+        for (let grown = true; grown;) {
+            grown = false;
+            for (const { entry } of declared.values()) {
+                if (entry.from && flow.has(entry.from.id) && !flow.has(entry.id)) { flow.add(entry.id); grown = true; }
+            }
+        }
+        const nodes = [...declared.values()].filter(({ entry }) => flow.has(entry.id)).map(({ node }) => node);
+        for (const { node } of renderedNodes) if (node.stateUses?.some(use => flow.has(use.id))) nodes.push(node);
+        revealNodes(nodes);
+        selectSource(declared.get(id).entry.loc);
+    }
+
+    // Identity of a node across re-parses, for keeping rows expanded: the kinds and names of the node and its
+    // ancestors, numbered among siblings of the same kind and name
+    function childPaths(node, path) {
+        const seen = new Map();
+        return node.children.map((child) => {
+            const key = `${child.kind || 'View'}:${child.name}`;
+            const count = seen.get(key) || 0;
+            seen.set(key, count + 1);
+            return `${path}/${key}#${count}`;
+        });
+    }
+
+    function expandedPaths() {
+        const open = ({ row }) => row.nextElementSibling && row.nextElementSibling.style.display !== 'none';
+        return new Set([...renderedNodes, ...renderedLayers].filter(open).map(({ path }) => path));
+    }
+
+    // Whether no collapsed row hides the row
+    function isRowShown(row) {
+        for (let ul = row.closest('.children'); ul; ul = ul.parentElement.closest('.children')) {
+            if (ul.style.display === 'none') return false;
+        }
+        return true;
+    }
+
+    // Child rows of a row rendered expanded
+    function showChildren(ul, toggle) {
+        ul.style.display = '';
+        toggle.textContent = '▾';
+        toggle.style.transform = 'rotate(90deg)';
+    }
+
+    function renderTree(node, parentUl, path, expanded) {
         const li = document.createElement('li');
 
         const row = document.createElement('div');
@@ -41,7 +319,9 @@
 
         const title = document.createElement('span');
         title.className = 'title';
-        title.textContent = node.name;
+        title.textContent = truncate(node.name);
+        if (node.name.length > CHIP_MAX) title.title = node.name;
+        if (node.diff) row.classList.add(`diff-${node.diff.status}`);
 
         const meta = document.createElement('span');
         meta.className = 'meta';
@@ -49,26 +329,80 @@
 
         const propsWrap = document.createElement('div');
         propsWrap.className = 'props';
-        if (node.props && node.props.length) {
-            for (const p of node.props) {
-                const chip = document.createElement('span');
-                chip.className = 'prop-chip';
-                chip.textContent = p;
+        const mods = document.createElement('div');
+        mods.className = 'modifiers';
+        if (node.diff) {
+            for (const p of node.diff.props) propsWrap.appendChild(makeDiffChip('prop-chip', p));
+            for (const m of node.diff.modifiers) mods.appendChild(makeDiffChip('mod-chip', m));
+        } else if (node.props && node.props.length) {
+            node.props.forEach((p, i) => {
+                const chip = makeChip('prop-chip', p);
+                appendResolved(chip, node.resolvedProps?.[i]);
                 propsWrap.appendChild(chip);
-            }
+            });
         }
 
-        const mods = document.createElement('div');
-        mods.className = 'modifiers';
-        for (const m of node.modifiers || []) {
-            const chip = document.createElement('span');
-            chip.className = 'mod-chip';
-            chip.textContent = m;
-            mods.appendChild(chip);
+        if (node.recursive) mods.appendChild(makeChip('mod-chip', '/* recursion */'));
+        const editable = editMode && !node.diff ? SwiftUIEdit.capabilities(node) : null;
+        if (!node.diff && !modifierLayers) {
+            (node.modifiers || []).forEach((m, i) => {
+                const category = SwiftUILayers.categoryOf(m.name);
+                const chip = makeChip(`mod-chip mod-${category}`, m.text);
+                appendResolved(chip, node.resolvedModifiers?.[i]);
+                if (editable?.modifiers && m.loc) makeModifierEditable(node, chip, i);
+                mods.appendChild(chip);
+            });
         }
 
-        row.append(toggle, kind, title, meta, propsWrap, mods);
+        const stateWrap = document.createElement('div');
+        stateWrap.className = 'state-list';
+        if (!node.diff) {
+            for (const entry of [...(node.rootState || []), ...(node.state || [])]) stateWrap.appendChild(makeStateChip(entry));
+            for (const use of node.stateUses || []) stateWrap.appendChild(makeStateUseChip(use));
+        }
+
+        row.append(toggle, kind, title, meta, propsWrap, stateWrap, mods);
+        const component = node.kind !== 'CustomView' && SwiftUIComponents.get(node.name);
+        if (component && component.icon) {
+            const icon = document.createElement('span');
+            icon.className = 'component-icon';
+            icon.textContent = component.icon;
+            icon.title = `${component.name} (${component.kind === 'container' ? '容器' : '元件'})`;
+            kind.before(icon);
+        }
         li.appendChild(row);
+        if (node.file && files.length > 1 && (node.kind === 'CustomView' || node.kind === 'Modifier')) {
+            const fileChip = document.createElement('span');
+            fileChip.className = 'file-chip';
+            fileChip.textContent = baseName(node.file);
+            fileChip.title = `定義於 ${node.file}`;
+            title.after(fileChip);
+        }
+        const findings = findingsByNode.get(node);
+        if (findings) {
+            const badge = document.createElement('span');
+            const severity = SwiftUILint.SEVERITIES.slice().reverse().find(s => findings.some(f => f.severity === s));
+            badge.className = `lint-badge ${severity}`;
+            badge.textContent = `${SEVERITY_ICONS[severity]} ${findings.length}`;
+            badge.title = findings.map(f => `[${f.rule}] ${f.message}`).join('\n');
+            title.after(badge);
+        }
+        if (node.diff?.status === 'moved') {
+            const badge = document.createElement('span');
+            badge.className = 'diff-badge';
+            badge.textContent = node.diff.changed ? '移動 · 變更' : '移動';
+            if (node.diff.from) badge.title = `原本位於 ${node.diff.from}`;
+            title.after(badge);
+        }
+        if (node.loc) {
+            row.title = `${node.loc.file ? node.loc.file + ' · ' : ''}第 ${node.loc.line} 行，第 ${node.loc.column} 欄`;
+            row.addEventListener('click', () => selectSource(node.loc));
+        } else if (node.diff?.beforeLoc) {
+            row.title = `變更前 · 第 ${node.diff.beforeLoc.line} 行，第 ${node.diff.beforeLoc.column} 欄`;
+            row.addEventListener('click', () => selectRange(beforeInput, node.diff.beforeLoc));
+        }
+        if (editable) makeRowEditable(node, row, editable);
+        renderedNodes.push({ node, row, path });
 
         if (node.children && node.children.length) {
             toggle.textContent = '▸';
@@ -76,97 +410,1226 @@
             const ul = document.createElement('ul');
             ul.className = 'children';
             ul.style.display = 'none';
-            for (const c of node.children) { renderTree(c, ul); }
+            if (expanded.has(path)) showChildren(ul, toggle);
+            const paths = childPaths(node, path);
+            node.children.forEach((c, i) => renderTree(c, ul, paths[i], expanded));
             li.appendChild(ul);
-            row.addEventListener('click', () => {
-                const open = ul.style.display !== 'none';
-                if (open) {
-                    const h = ul.scrollHeight;
-                    ul.style.height = h + 'px';
-                    requestAnimationFrame(() => {
-                        ul.style.transition = 'height .25s ease, opacity .25s ease';
-                        ul.style.height = '0px';
-                        ul.style.opacity = '0.0';
-                    });
-                    setTimeout(() => { ul.style.display = 'none'; ul.style.height = ''; ul.style.transition = ''; ul.style.opacity = ''; }, 260);
-                } else {
-                    ul.style.display = '';
-                    ul.style.height = '0px';
-                    ul.style.opacity = '0.0';
-                    const h = ul.scrollHeight;
-                    requestAnimationFrame(() => {
-                        ul.style.transition = 'height .25s ease, opacity .25s ease';
-                        ul.style.height = h + 'px';
-                        ul.style.opacity = '1';
-                    });
-                    setTimeout(() => { ul.style.height = ''; ul.style.transition = ''; }, 260);
-                }
-                toggle.textContent = open ? '▸' : '▾';
-                toggle.style.transform = open ? 'rotate(0deg)' : 'rotate(90deg)';
-            });
+            row.addEventListener('click', () => toggleChildren(ul, toggle));
         } else {
             toggle.textContent = '·';
         }
 
-        parentUl.appendChild(li);
+        parentUl.appendChild(modifierLayers && !node.diff ? wrapInLayers(node, li, path, expanded) : li);
+    }
+
+    // Expand or collapse a list of child rows, animating its height
+    function toggleChildren(ul, toggle) {
+        const open = ul.style.display !== 'none';
+        if (open) {
+            const h = ul.scrollHeight;
+            ul.style.height = h + 'px';
+            requestAnimationFrame(() => {
+                ul.style.transition = 'height .25s ease, opacity .25s ease';
+                ul.style.height = '0px';
+                ul.style.opacity = '0.0';
+            });
+            setTimeout(() => { ul.style.display = 'none'; ul.style.height = ''; ul.style.transition = ''; ul.style.opacity = ''; }, 260);
+        } else {
+            ul.style.display = '';
+            ul.style.height = '0px';
+            ul.style.opacity = '0.0';
+            const h = ul.scrollHeight;
+            requestAnimationFrame(() => {
+                ul.style.transition = 'height .25s ease, opacity .25s ease';
+                ul.style.height = h + 'px';
+                ul.style.opacity = '1';
+            });
+            setTimeout(() => { ul.style.height = ''; ul.style.transition = ''; }, 260);
+        }
+        toggle.textContent = open ? '▸' : '▾';
+        toggle.style.transform = open ? 'rotate(0deg)' : 'rotate(90deg)';
+    }
+
+    // Modifier layers mode: the node's row (`li`) inside a row per modifier, the last applied outermost. The views a
+    // modifier carries are listed next to the view it wraps (.background ones before it).
+    function wrapInLayers(node, li, path, expanded) {
+        const editable = editMode && SwiftUIEdit.capabilities(node).modifiers;
+        let inner = li;
+        for (const layer of SwiftUILayers.layersOf(node, hiddenCategories).reverse()) {
+            const outer = document.createElement('li');
+            const row = document.createElement('div');
+            row.className = `node layer-row layer-${layer.category}`;
+            const toggle = document.createElement('span');
+            toggle.className = 'toggle has-children';
+            toggle.textContent = '▸';
+            const kind = document.createElement('span');
+            kind.className = 'kind';
+            kind.textContent = SwiftUILayers.CATEGORIES.find(c => c.id === layer.category).label;
+            const chip = makeChip(`mod-chip mod-${layer.category}`, `.${layer.modifier.text}`);
+            appendResolved(chip, node.resolvedModifiers?.[layer.index]);
+            if (editable && layer.modifier.loc) makeModifierEditable(node, chip, layer.index);
+            row.append(toggle, kind, chip);
+            const layerPath = `${path}@${layer.index}`;
+            const ul = document.createElement('ul');
+            ul.className = 'children';
+            ul.style.display = 'none';
+            if (expanded.has(layerPath)) showChildren(ul, toggle);
+            renderedLayers.push({ row, path: layerPath });
+            layer.views.forEach((view, i) => renderTree(view, ul, `${layerPath}/${view.kind || 'View'}:${view.name}#${i}`, expanded));
+            if (layer.behind) ul.appendChild(inner);
+            else ul.insertBefore(inner, ul.firstChild);
+            const loc = layer.modifier.loc;
+            if (loc && loc.line) {
+                row.title = `${loc.file ? loc.file + ' · ' : ''}第 ${loc.line} 行，第 ${loc.column} 欄`;
+                row.addEventListener('click', () => selectSource(loc));
+            }
+            row.addEventListener('click', () => toggleChildren(ul, toggle));
+            outer.append(row, ul);
+            inner = outer;
+        }
+        return inner;
+    }
+
+    // Select and scroll to a node's span in the editor
+    function selectSource(loc) {
+        const index = fileIndex(loc.file);
+        if (index !== activeFile) showFile(index);
+        if (!isParsed(activeFile)) return;
+        selectRange(codeInput, loc);
+    }
+
+    function selectRange(textarea, loc) {
+        textarea.focus({ preventScroll: true });
+        textarea.setSelectionRange(loc.start, loc.end);
+        const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 20;
+        textarea.scrollTop = Math.max(0, (loc.line - 1) * lineHeight - textarea.clientHeight / 3);
+    }
+
+    // Prop / modifier chip of a merged diff tree: { text, status, before? }
+    function makeDiffChip(className, item) {
+        const chip = makeChip(className, item.text);
+        if (item.status !== 'same') chip.classList.add(`diff-${item.status}`);
+        if (item.status === 'changed') chip.title = `原本：${item.before}`;
+        return chip;
+    }
+
+    // Counts per status, shown in the output toolbar
+    function showDiffSummary(tree) {
+        const counts = { added: 0, removed: 0, moved: 0, changed: 0 };
+        (function count(node) {
+            if (counts[node.diff.status] !== undefined) counts[node.diff.status]++;
+            if (node.diff.status !== 'added' && node.diff.status !== 'removed') node.children.forEach(count);
+        })(tree);
+        const labels = { added: '＋ 新增', removed: '－ 移除', moved: '↕ 移動', changed: '✎ 變更' };
+        outHint.innerHTML = '';
+        outHint.classList.add('diff-summary');
+        const parts = Object.keys(labels).filter(k => counts[k]);
+        if (!parts.length) { outHint.textContent = '兩個版本的階層相同'; return; }
+        parts.forEach((k, i) => {
+            const span = document.createElement('span');
+            span.className = k;
+            span.textContent = `${labels[k]} ${counts[k]}`;
+            outHint.append(i ? ' · ' : '', span);
+        });
+    }
+
+    // Apply an edit (source -> source) to the file the node was parsed from, then parse again
+    function applyEdit(node, edit) {
+        files[activeFile].source = codeInput.value;
+        const index = fileIndex(node.loc.file);
+        if (!isParsed(index)) { setError('原始碼在解析後已變更，請先重新解析再編輯'); return; }
+        let next;
+        try {
+            next = edit(files[index].source);
+        } catch (err) {
+            setError(err.message);
+            return;
+        }
+        if (next === files[index].source) return;
+        files[index].source = next;
+        if (index === activeFile) setEditorText(next);
+        else showFile(index);
+        parseNow();
+    }
+
+    // Action buttons and drag and drop (drop on the upper / lower half of a row to move before / after it)
+    function makeRowEditable(node, row, editable) {
+        const actions = document.createElement('span');
+        actions.className = 'edit-actions';
+        const action = (label, title, edit) => {
+            const button = document.createElement('button');
+            button.className = 'ghost';
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                applyEdit(node, edit);
+            });
+            actions.appendChild(button);
+        };
+        if (editable.wrap) for (const name of SwiftUIEdit.WRAPPERS) action(name[0], `包進 ${name}`, s => SwiftUIEdit.wrapNode(s, node, name));
+        if (editable.unwrap) action('⇱', '解除容器 (以子節點取代)', s => SwiftUIEdit.unwrapNode(s, node));
+        if (editable.modifiers) {
+            action('＋', '新增 modifier', (s) => {
+                const text = prompt('新增 modifier，例如 padding() 或 font(.title)');
+                return text ? SwiftUIEdit.addModifier(s, node, text) : s;
+            });
+        }
+        if (editable.delete) action('✕', '刪除節點', s => SwiftUIEdit.deleteNode(s, node));
+        if (actions.childNodes.length) row.appendChild(actions);
+        if (!editable.move) return;
+
+        row.draggable = true;
+        row.addEventListener('dragstart', (e) => {
+            draggedNode = node;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', node.name);
+            row.classList.add('dragging');
+        });
+        row.addEventListener('dragend', () => {
+            draggedNode = null;
+            row.classList.remove('dragging');
+        });
+        const dropAfter = e => e.offsetY > row.offsetHeight / 2;
+        row.addEventListener('dragover', (e) => {
+            if (!draggedNode || draggedNode === node || draggedNode.loc.file !== node.loc.file) return;
+            e.preventDefault();
+            row.classList.toggle('drop-after', dropAfter(e));
+            row.classList.toggle('drop-before', !dropAfter(e));
+        });
+        row.addEventListener('dragleave', () => row.classList.remove('drop-before', 'drop-after'));
+        row.addEventListener('drop', (e) => {
+            e.preventDefault();
+            row.classList.remove('drop-before', 'drop-after');
+            const moved = draggedNode;
+            draggedNode = null;
+            if (moved) applyEdit(moved, s => SwiftUIEdit.moveNode(s, moved, node, dropAfter(e)));
+        });
+    }
+
+    // Modifier chips in edit mode: × removes, dragging onto another chip of the same node reorders
+    function makeModifierEditable(node, chip, index) {
+        const remove = document.createElement('span');
+        remove.className = 'chip-remove';
+        remove.textContent = '×';
+        remove.title = '移除 modifier';
+        remove.addEventListener('click', (e) => {
+            e.stopPropagation();
+            applyEdit(node, s => SwiftUIEdit.removeModifier(s, node, index));
+        });
+        chip.appendChild(remove);
+        chip.draggable = true;
+        chip.addEventListener('dragstart', (e) => {
+            e.stopPropagation();
+            draggedModifier = { node, index };
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', node.modifiers[index].text);
+        });
+        chip.addEventListener('dragend', () => { draggedModifier = null; });
+        chip.addEventListener('dragover', (e) => {
+            if (!draggedModifier || draggedModifier.node !== node || draggedModifier.index === index) return;
+            e.preventDefault();
+            e.stopPropagation();
+            chip.classList.add('drop-target');
+        });
+        chip.addEventListener('dragleave', () => chip.classList.remove('drop-target'));
+        chip.addEventListener('drop', (e) => {
+            if (!draggedModifier || draggedModifier.node !== node) return;
+            e.preventDefault();
+            e.stopPropagation();
+            chip.classList.remove('drop-target');
+            const from = draggedModifier.index;
+            draggedModifier = null;
+            applyEdit(node, s => SwiftUIEdit.moveModifier(s, node, from, index));
+        });
+    }
+
+    // Expand the tree down to every node that differs
+    function revealChanges() {
+        for (const { node, row } of renderedNodes) {
+            if (node.diff && node.diff.status !== 'same') revealRow(row);
+        }
+    }
+
+    // Expand every collapsed ancestor list of a row so it becomes visible
+    function revealRow(row) {
+        let ul = row.closest('.children');
+        while (ul) {
+            ul.style.display = '';
+            const toggle = ul.parentElement.querySelector(':scope > .node > .toggle');
+            if (toggle) { toggle.textContent = '▾'; toggle.style.transform = 'rotate(90deg)'; }
+            ul = ul.parentElement.closest('.children');
+        }
+    }
+
+    // Highlight the innermost tree node(s) whose source span contains the caret
+    function highlightAtCaret() {
+        for (const { row } of renderedNodes) row.classList.remove('source-match');
+        if (!isParsed(activeFile)) return;
+        const caret = codeInput.selectionStart;
+        let best = null;
+        for (const entry of renderedNodes) {
+            const loc = entry.node.loc;
+            if (!loc || caret < loc.start || caret > loc.end || fileIndex(loc.file) !== activeFile) continue;
+            const size = loc.end - loc.start;
+            if (!best || size < best.size) best = { size, rows: [entry.row] };
+            else if (size === best.size) best.rows.push(entry.row);
+        }
+        if (!best) return;
+        for (const row of best.rows) {
+            row.classList.add('source-match');
+            revealRow(row);
+        }
+        best.rows[0].scrollIntoView({ block: 'nearest' });
     }
 
-    function render(tree) {
+    // Rows expanded before (or the paths in `expanded`) are expanded again when their node is still there (see childPaths)
+    function render(tree, expanded = expandedPaths()) {
         treeRoot.classList.remove('empty');
         treeRoot.innerHTML = '';
+        renderedNodes = [];
+        renderedLayers = [];
+        // The merged tree of compare mode is not linted (it contains removed nodes)
+        const findings = tree.diff ? [] : SwiftUILint.lint(tree, lintConfig);
+        findingsByNode = new Map();
+        for (const f of findings) findingsByNode.set(f.node, [...(findingsByNode.get(f.node) || []), f]);
         const ul = document.createElement('ul');
         ul.className = 'tree';
-        renderTree(tree, ul);
+        renderTree(tree, ul, `${tree.kind || 'View'}:${tree.name}`, expanded);
         treeRoot.appendChild(ul);
+        renderFindings(findings);
+        renderWireframe();
+        renderMetrics();
+        applySearch();
+    }
+
+    function renderWireframe() {
+        wireframeBoxes = new Map();
+        if (previewPanel.hidden || !renderedNodes.length) { wireframe.innerHTML = ''; return; }
+        wireframeBoxes = SwiftUIWireframe.render(renderedNodes[0].node, wireframe);
+    }
+
+    function setWireframe(on) {
+        previewPanel.hidden = !on;
+        updateSidePanels();
+        renderWireframe();
+    }
+
+    function setMetrics(on) {
+        metricsPanel.hidden = !on;
+        updateSidePanels();
+        renderMetrics();
+    }
+
+    function setNavigation(on) {
+        navigationPanel.hidden = !on;
+        updateSidePanels();
+        // The graph is built with the parse
+        if (on && parsedSources.length) parseNow();
+        else renderNavigation();
+    }
+
+    // The third column holds the wireframe preview, the metrics panel and the navigation graph
+    function updateSidePanels() {
+        sidePanels.hidden = previewPanel.hidden && metricsPanel.hidden && navigationPanel.hidden;
+        document.querySelector('.container').classList.toggle('with-side', !sidePanels.hidden);
+    }
+
+    // Clicking a screen shows its hierarchy; clicking an edge selects the code of its trigger
+    function renderNavigation() {
+        graphControls = null;
+        if (navigationPanel.hidden || !currentGraph) { navigationGraph.innerHTML = ''; return; }
+        graphControls = SwiftUINavigation.render(currentGraph, navigationGraph, {
+            current: currentRoot,
+            view: navigationView,
+            onView: (view) => { navigationView = view; },
+            onSelect: (name) => {
+                rootSelect.value = name;
+                parseNow();
+            },
+            onEdge: (edge) => { if (edge.loc) selectSource(edge.loc); },
+        });
+    }
+
+    const TOTAL_LABELS = { nodes: '節點', maxDepth: '最大深度', containers: '容器', leaves: '葉節點', conditionals: '條件', branches: '分支', modifiers: 'Modifier' };
+
+    function renderMetrics() {
+        currentMetrics = null;
+        metricsView.innerHTML = '';
+        if (metricsPanel.hidden || !renderedNodes.length) return;
+        currentMetrics = SwiftUIMetrics.computeMetrics(renderedNodes[0].node, { root: currentRoot });
+        const totals = document.createElement('dl');
+        totals.className = 'metrics-totals';
+        for (const [key, label] of Object.entries(TOTAL_LABELS)) {
+            const item = document.createElement('div');
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = currentMetrics.totals[key];
+            item.append(dt, dd);
+            totals.appendChild(item);
+        }
+        metricsView.appendChild(totals);
+        metricsView.append(
+            metricsTable('modifiers', 'Modifier 使用次數', [['name', 'Modifier'], ['count', '次數']], m => m.nodes, m => `.${m.name} 使用 ${m.count} 次`),
+            metricsTable('customViews', '自訂 View 重複使用', [['name', 'View'], ['count', '次數']], c => c.nodes, c => `${c.name} 使用 ${c.count} 次`),
+            metricsTable('structs', '各 struct 複雜度', [['name', 'Struct'], ['nodes', '節點'], ['maxDepth', '深度'], ['branches', '分支'], ['modifiers', 'Mod'], ['count', '使用'], ['score', '分數']],
+                s => s.uses, s => `分數 = 節點 + modifier + 2 × 分支 + 深度`),
+        );
+    }
+
+    // A sortable table of one metrics list; clicking a row reveals its nodes in the tree
+    function metricsTable(id, caption, columns, nodesOf, describe) {
+        const wrap = document.createElement('div');
+        const rows = currentMetrics[id];
+        const heading = document.createElement('h3');
+        heading.textContent = `${caption} (${rows.length})`;
+        wrap.appendChild(heading);
+        if (!rows.length) return wrap;
+        const sort = metricsSort[id];
+        const sorted = rows.slice().sort((a, b) => {
+            const x = a[sort.key]; const y = b[sort.key];
+            const order = typeof x === 'number' ? x - y : String(x).localeCompare(String(y));
+            return sort.desc ? -order : order;
+        });
+        const table = document.createElement('table');
+        table.className = 'metrics-table';
+        const head = table.createTHead().insertRow();
+        for (const [key, label] of columns) {
+            const th = document.createElement('th');
+            th.textContent = label + (sort.key === key ? (sort.desc ? ' ▾' : ' ▴') : '');
+            th.classList.toggle('sorted', sort.key === key);
+            th.addEventListener('click', () => {
+                metricsSort[id] = { key, desc: sort.key === key ? !sort.desc : key !== 'name' };
+                renderMetrics();
+            });
+            head.appendChild(th);
+        }
+        const body = table.createTBody();
+        for (const entry of sorted) {
+            const tr = body.insertRow();
+            tr.title = describe(entry);
+            for (const [key] of columns) tr.insertCell().textContent = entry[key];
+            tr.addEventListener('click', () => {
+                for (const active of metricsView.querySelectorAll('tr.active')) active.classList.remove('active');
+                tr.classList.add('active');
+                revealNodes(nodesOf(entry));
+            });
+        }
+        wrap.appendChild(table);
+        return wrap;
+    }
+
+    // Mark the rows of the given nodes, expanding their ancestors
+    function revealNodes(nodes) {
+        const wanted = new Set(nodes);
+        let first = null;
+        for (const { node, row } of renderedNodes) {
+            const match = wanted.has(node);
+            row.classList.toggle('metric-match', match);
+            if (!match) continue;
+            revealRow(row);
+            first = first || row;
+        }
+        if (first) first.scrollIntoView({ block: 'nearest' });
+    }
+
+    function downloadMetrics(format) {
+        if (!currentMetrics) return;
+        const text = format === 'csv' ? SwiftUIMetrics.toCSV(currentMetrics) : SwiftUIMetrics.toJSON(currentMetrics);
+        const mime = format === 'csv' ? 'text/csv' : 'application/json';
+        download(`${currentRoot || 'View'}.metrics.${format}`, new Blob([text], { type: mime }));
+    }
+
+    // Innermost node whose box contains the element (wrappers added by modifiers belong to their node)
+    function wireframeNodeAt(target) {
+        const nodes = new Map([...wireframeBoxes].map(([node, box]) => [box, node]));
+        for (let el = target.closest('.wf'); el; el = el.parentElement && el.parentElement.closest('.wf')) {
+            if (nodes.has(el)) return nodes.get(el);
+        }
+        return null;
+    }
+
+    // Hovering a box highlights its row and the other way round
+    function hoverNode(node) {
+        for (const el of document.querySelectorAll('.wire-hover')) el.classList.remove('wire-hover');
+        if (!node) return;
+        wireframeBoxes.get(node)?.classList.add('wire-hover');
+        renderedNodes.find(entry => entry.node === node)?.row.classList.add('wire-hover');
+    }
+
+    const SEVERITY_ICONS = { error: '⛔', warning: '⚠', info: 'ℹ' };
+
+    // Findings panel above the tree; clicking a finding reveals its node and source
+    function renderFindings(findings) {
+        findingsPanel.hidden = !findings.length;
+        const list = findingsPanel.querySelector('.findings-list');
+        list.innerHTML = '';
+        const count = s => findings.filter(f => f.severity === s).length;
+        findingsPanel.querySelector('summary').textContent = `檢查結果：${findings.length} 項`
+            + ` (${SwiftUILint.SEVERITIES.slice().reverse().filter(count).map(s => `${SEVERITY_ICONS[s]} ${count(s)}`).join(' · ')})`;
+        const rows = new Map(renderedNodes.map(({ node, row }) => [node, row]));
+        for (const f of findings) {
+            const item = document.createElement('li');
+            item.className = 'finding';
+            const severity = document.createElement('span');
+            severity.className = `severity ${f.severity}`;
+            severity.textContent = SEVERITY_ICONS[f.severity];
+            const message = document.createElement('span');
+            message.textContent = f.message;
+            message.title = f.rule;
+            const path = document.createElement('span');
+            path.className = 'path';
+            path.textContent = f.path;
+            path.title = f.path;
+            item.append(severity, message, path);
+            item.addEventListener('click', () => {
+                // Views inside modifiers have no row of their own
+                const row = rows.get(f.node);
+                if (row) { revealRow(row); row.scrollIntoView({ block: 'nearest' }); }
+                if (f.loc) selectSource(f.loc);
+            });
+            list.appendChild(item);
+        }
+    }
+
+    // Parser diagnostics under the editor; clicking one selects its source range
+    function renderDiagnostics(found) {
+        const diagnostics = found.slice().sort((a, b) => fileIndex(a.loc.file) - fileIndex(b.loc.file) || a.loc.start - b.loc.start);
+        diagnosticsPanel.hidden = !diagnostics.length;
+        const list = diagnosticsPanel.querySelector('.findings-list');
+        list.innerHTML = '';
+        const count = s => diagnostics.filter(d => d.severity === s).length;
+        diagnosticsPanel.querySelector('summary').textContent = `解析問題：${diagnostics.length} 項`
+            + ` (${['error', 'warning', 'info'].filter(count).map(s => `${SEVERITY_ICONS[s]} ${count(s)}`).join(' · ')})`;
+        for (const d of diagnostics) {
+            const item = document.createElement('li');
+            item.className = 'finding';
+            const severity = document.createElement('span');
+            severity.className = `severity ${d.severity}`;
+            severity.textContent = SEVERITY_ICONS[d.severity];
+            const message = document.createElement('span');
+            message.textContent = d.message;
+            message.title = d.code;
+            const where = document.createElement('span');
+            where.className = 'path';
+            where.textContent = `${d.loc.file ? baseName(d.loc.file) + ':' : ''}${d.loc.line}:${d.loc.column}`;
+            where.title = d.loc.file || '';
+            item.append(severity, message, where);
+            item.addEventListener('click', () => selectSource(d.loc));
+            list.appendChild(item);
+        }
+        shownDiagnostics = diagnostics;
+        showEditorDiagnostics();
+    }
+
+    function showEditorDiagnostics() {
+        editor.setDiagnostics(shownDiagnostics.filter(d => fileIndex(d.loc.file) === activeFile));
+    }
+
+    function loadModifierView() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(MODIFIERS_STORAGE_KEY)) || {};
+            return { layers: Boolean(saved.layers), hidden: new Set(Array.isArray(saved.hidden) ? saved.hidden : []) };
+        } catch (err) {
+            return { layers: false, hidden: new Set() };
+        }
+    }
+
+    // Store the modifier view and render the tree again, with the rows in `expanded` open
+    function saveModifierView(expanded = expandedPaths()) {
+        const saved = { layers: modifierLayers, hidden: [...hiddenCategories] };
+        try { localStorage.setItem(MODIFIERS_STORAGE_KEY, JSON.stringify(saved)); } catch (err) { /* storage unavailable */ }
+        layersMenu.hidden = !modifierLayers;
+        if (renderedNodes.length) render(renderedNodes[0].node, expanded);
+    }
+
+    // Categories menu: a checkbox per modifier category, in its color
+    function buildLayersMenu() {
+        const list = layersMenu.querySelector('.layer-categories');
+        for (const category of SwiftUILayers.CATEGORIES) {
+            const label = document.createElement('label');
+            label.className = 'option';
+            const shown = document.createElement('input');
+            shown.type = 'checkbox';
+            shown.checked = !hiddenCategories.has(category.id);
+            shown.addEventListener('change', () => {
+                if (shown.checked) hiddenCategories.delete(category.id);
+                else hiddenCategories.add(category.id);
+                saveModifierView();
+            });
+            const swatch = document.createElement('span');
+            swatch.className = `category-swatch mod-${category.id}`;
+            label.append(shown, ' ', swatch, ' ', category.label);
+            list.appendChild(label);
+        }
+    }
+
+    function loadLintConfig() {
+        try {
+            return JSON.parse(localStorage.getItem(LINT_STORAGE_KEY)) || {};
+        } catch (err) {
+            return {};
+        }
+    }
+
+    function loadComponents() {
+        try {
+            SwiftUIComponents.configure(JSON.parse(localStorage.getItem(COMPONENTS_STORAGE_KEY)) || []);
+        } catch (err) {
+            SwiftUIComponents.configure();
+        }
+    }
+
+    // Keep the custom components and parse again with them
+    function saveComponents() {
+        try { localStorage.setItem(COMPONENTS_STORAGE_KEY, JSON.stringify(SwiftUIComponents.custom())); } catch (err) { /* storage unavailable */ }
+        renderComponentsMenu();
+        if (files.some(f => f.source.trim())) parseNow();
+    }
+
+    // Components menu: load a JSON config, list and remove the custom components
+    function renderComponentsMenu() {
+        const list = componentsMenu.querySelector('.components-list');
+        list.innerHTML = '';
+        const button = (label, title, className, run) => {
+            const btn = menuButton(label, title, run);
+            if (className) btn.className = className;
+            return btn;
+        };
+        list.appendChild(button('載入 JSON 設定…', '{ "components": [{ "name", "kind": "container" | "leaf", "slots", "content", "action", "wrapper", "icon" }] }',
+            'components-load', () => componentsInput.click()));
+        const custom = SwiftUIComponents.custom();
+        if (!custom.length) {
+            const empty = document.createElement('div');
+            empty.className = 'history-empty';
+            empty.textContent = `沒有自訂元件 · 內建 ${SwiftUIComponents.BUILT_IN.length} 種`;
+            list.appendChild(empty);
+            return;
+        }
+        for (const def of custom) {
+            const item = document.createElement('div');
+            item.className = 'component-item';
+            const icon = document.createElement('span');
+            icon.className = 'component-icon';
+            icon.textContent = def.icon || '';
+            const name = document.createElement('span');
+            name.className = 'component-name';
+            name.textContent = def.name;
+            name.title = JSON.stringify(def);
+            const kind = document.createElement('span');
+            kind.className = 'small';
+            kind.textContent = def.kind === 'container' ? '容器' : '元件';
+            item.append(icon, name, kind, button('✕', '移除', '', () => {
+                SwiftUIComponents.configure(SwiftUIComponents.custom().filter(d => d !== def));
+                saveComponents();
+            }));
+            list.appendChild(item);
+        }
+        list.appendChild(button('全部清除', '只保留內建元件', '', () => {
+            SwiftUIComponents.configure();
+            saveComponents();
+        }));
+    }
+
+    // Rules menu: a checkbox per rule, plus inputs for numeric options (e.g. max-stack-depth's max)
+    function buildLintMenu() {
+        const list = lintMenu.querySelector('.lint-rules');
+        for (const rule of SwiftUILint.RULES) {
+            const settings = SwiftUILint.ruleSettings(rule, lintConfig);
+            const label = document.createElement('label');
+            label.className = 'option';
+            label.title = rule.id;
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.checked = settings.enabled;
+            const name = document.createElement('span');
+            name.textContent = rule.description;
+            const left = document.createElement('span');
+            left.append(enabled, ' ', name);
+            label.appendChild(left);
+            const inputs = {};
+            for (const [key, value] of Object.entries(settings.options)) {
+                if (typeof value !== 'number') continue;
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '1';
+                input.value = value;
+                input.addEventListener('change', update);
+                inputs[key] = input;
+                label.appendChild(input);
+            }
+            function update() {
+                const options = {};
+                for (const [key, input] of Object.entries(inputs)) if (input.value) options[key] = Number(input.value);
+                lintConfig[rule.id] = enabled.checked ? options : false;
+                try { localStorage.setItem(LINT_STORAGE_KEY, JSON.stringify(lintConfig)); } catch (err) { /* storage unavailable */ }
+                if (renderedNodes.length) render(renderedNodes[0].node);
+            }
+            enabled.addEventListener('change', update);
+            list.appendChild(label);
+        }
+    }
+
+    // Highlight nodes matching the selector in the search box (see query.js). Matches, their ancestors and
+    // descendants stay visible; other branches are dimmed, or hidden with "隱藏不符合".
+    function applySearch() {
+        searchMatches = []; searchIndex = -1;
+        searchInput.classList.remove('invalid');
+        searchInput.title = '';
+        searchCount.textContent = '';
+        for (const { row } of renderedNodes) {
+            row.classList.remove('search-match', 'search-current', 'search-dim');
+            row.parentElement.hidden = false;
+        }
+        const query = searchInput.value.trim();
+        if (!query || !renderedNodes.length) return;
+        let selectors;
+        try {
+            selectors = SwiftUIQuery.parse(query);
+        } catch (err) {
+            searchInput.classList.add('invalid');
+            searchInput.title = err.message;
+            searchCount.textContent = '語法錯誤';
+            return;
+        }
+        const rows = new Map(renderedNodes.map(({ node, row }) => [node, row]));
+        const found = new Set(SwiftUIQuery.queryAll(renderedNodes[0].node, selectors));
+        // Views inside modifiers have rows only in the layers view; a match there still keeps the node it belongs to
+        (function mark(node, insideMatch) {
+            const isMatch = found.has(node);
+            let hasMatch = isMatch;
+            const views = (node.modifiers || []).flatMap(mod => [...mod.args, ...mod.closures].flatMap(part => part.children || []));
+            for (const child of [...(node.children || []), ...views]) hasMatch = mark(child, insideMatch || isMatch) || hasMatch;
+            const keep = hasMatch || insideMatch;
+            const row = rows.get(node);
+            if (row) {
+                row.classList.toggle('search-match', isMatch);
+                row.classList.toggle('search-dim', !keep && !searchHide.checked);
+                row.parentElement.hidden = !keep && searchHide.checked;
+            }
+            return hasMatch;
+        })(renderedNodes[0].node, false);
+        searchMatches = renderedNodes.filter(({ node }) => found.has(node)).map(({ row }) => row);
+        for (const row of searchMatches) revealRow(row);
+        if (searchMatches.length) gotoMatch(0);
+        else searchCount.textContent = '沒有符合';
+    }
+
+    function gotoMatch(index) {
+        if (!searchMatches.length) return;
+        searchMatches[searchIndex]?.classList.remove('search-current');
+        searchIndex = (index + searchMatches.length) % searchMatches.length;
+        const row = searchMatches[searchIndex];
+        row.classList.add('search-current');
+        row.scrollIntoView({ block: 'nearest' });
+        searchCount.textContent = `${searchIndex + 1} / ${searchMatches.length}`;
+    }
+
+    // Refresh rootSelect from parseProject's candidates ({ name, file }), grouping them by file in project mode
+    // Candidates come entry points first (see collectRootCandidates); a single file groups Apps and previews
+    // apart from the views, a project groups by file and tags the Apps
+    const ENTRY_GROUPS = [['app', 'App'], [undefined, 'View'], ['preview', '預覽']];
+
+    function fillRootSelect(candidates, selected) {
+        rootSelect.innerHTML = '';
+        const option = ({ name, entry }, tagged) => {
+            const opt = document.createElement('option');
+            opt.value = name; opt.textContent = tagged && entry === 'app' ? `${name} (App)` : name;
+            return opt;
+        };
+        const addGroup = (label, list, tagged) => {
+            if (!list.length) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            for (const candidate of list) group.appendChild(option(candidate, tagged));
+            rootSelect.appendChild(group);
+        };
+        if (files.length > 1) {
+            for (const file of files) addGroup(file.name, candidates.filter(c => c.file === file.name), true);
+        } else if (candidates.some(c => c.entry)) {
+            for (const [entry, label] of ENTRY_GROUPS) addGroup(label, candidates.filter(c => c.entry === entry), false);
+        } else {
+            for (const candidate of candidates) rootSelect.appendChild(option(candidate, false));
+        }
+        rootSelect.value = selected || '';
+    }
+
+    function createParseWorker() {
+        if (typeof Worker === 'undefined') return null;
+        try {
+            const worker = new Worker('parse-worker.js');
+            worker.addEventListener('message', e => finishParse(e.data));
+            // The worker script could not be loaded: parse on the main thread from now on
+            worker.addEventListener('error', (e) => {
+                e.preventDefault();
+                worker.terminate();
+                parseWorker = null;
+                const request = runningParse || pendingParse;
+                runningParse = null;
+                pendingParse = null;
+                if (request) runParse(request);
+            });
+            return worker;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // Parse again once typing pauses; an empty editor just clears the previous problems
+    function scheduleParse() {
+        clearTimeout(parseTimer);
+        parseTimer = setTimeout(() => {
+            if (files.some(f => f.source.trim())) parseNow();
+            else { setError(''); renderDiagnostics([]); }
+        }, PARSE_DELAY);
     }
 
     function parseNow() {
-        setError('');
-        const src = codeInput.value;
-        if (!src.trim()) {
+        clearTimeout(parseTimer);
+        files[activeFile].source = codeInput.value;
+        if (!files.some(f => f.source.trim())) {
             setError('請先貼上 SwiftUI 程式碼');
+            renderDiagnostics([]);
             return;
         }
+        const request = {
+            id: ++parseId,
+            files: files.map(({ name, source }) => ({ name, source })),
+            restore: restoredView,
+            options: {
+                root: restoredView ? restoredView.root : rootSelect.value,
+                expandModifiers: expandModifiers.checked,
+                navigation: !navigationPanel.hidden,
+                components: SwiftUIComponents.custom(),
+                before: compareMode && beforeInput.value.trim() ? beforeInput.value : undefined,
+            },
+        };
+        restoredView = null;
+        if (!parseWorker) runParse(request);
+        else if (runningParse) pendingParse = request;
+        else sendParse(request);
+    }
+
+    function sendParse(request) {
+        runningParse = request;
+        parseWorker.postMessage({ id: request.id, files: request.files, options: request.options });
+    }
+
+    // Reply of the worker; a newer request that waited is sent next
+    function finishParse(reply) {
+        const request = runningParse;
+        runningParse = null;
+        if (request && reply.id === request.id) showParse(request, reply);
+        if (pendingParse) {
+            sendParse(pendingParse);
+            pendingParse = null;
+        }
+    }
+
+    // The worker's job on the main thread
+    function runParse(request) {
+        const diagnostics = [];
+        let reply;
         try {
-            const map = SwiftUIParser.extractViews(src);
-            const candidates = SwiftUIParser.collectRootCandidates(map);
-            // refresh rootSelect
-            rootSelect.innerHTML = '';
-            for (const name of candidates) {
-                const opt = document.createElement('option');
-                opt.value = name; opt.textContent = name; rootSelect.appendChild(opt);
-            }
-            const selected = rootSelect.value || candidates[0];
-            if (!selected) { setError('未找到任何 struct ... : View'); return; }
-            const tree = SwiftUIParser.buildTreeForRoot(map, selected);
-            if (!tree) { setError('無法從 body 建立樹狀結構'); return; }
-            render(tree);
+            const viewMap = SwiftUIParser.extractProject(request.files);
+            const result = SwiftUIParser.parseProject(request.files, { ...request.options, viewMap, diagnostics });
+            if (request.options.navigation) result.navigation = SwiftUINavigation.buildGraph(viewMap);
+            reply = { id: request.id, result };
+        } catch (err) {
+            console.error(err);
+            reply = { id: request.id, error: err?.message || String(err), diagnostics };
+        }
+        showParse(request, reply);
+    }
+
+    function showParse(request, reply) {
+        setError('');
+        parsedSources = request.files.map(f => f.source);
+        if (reply.error) {
+            setError('解析發生錯誤：' + reply.error);
+            renderDiagnostics(reply.diagnostics);
+            return;
+        }
+        const result = reply.result;
+        currentGraph = result.navigation || null;
+        try {
+            fillRootSelect(result.candidates, result.root);
+            if (!result.root) { setError('未找到任何 struct ... : View'); return; }
+            if (!result.tree) { setError('無法從 body 建立樹狀結構'); return; }
+            if (result.duplicates.length) setError(`多個檔案重複定義：${result.duplicates.join(', ')}（使用最後一個）`);
+            currentTree = result.tree;
+            currentRoot = result.root;
+            currentFile = result.file;
+            currentSources = parsedSources;
+            const expanded = request.restore ? new Set(request.restore.expanded) : expandedPaths();
+            if (compareMode) renderDiff(result.tree, result.root, result.before, expanded);
+            else render(result.tree, expanded);
+            scheduleSessionSave();
         } catch (err) {
             console.error(err);
             setError('解析發生錯誤：' + (err?.message || String(err)));
+        } finally {
+            // Problems found while parsing and the navigation graph; shown even when no tree could be built
+            renderDiagnostics(result.diagnostics);
+            renderNavigation();
+        }
+    }
+
+    // Export menu: every format can be downloaded, text formats can also be copied; PNG is rasterized from the SVG
+    function buildExportMenu() {
+        const list = exportMenu.querySelector('.export-list');
+        const item = (label, className, onClick) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            if (className) btn.className = className;
+            btn.addEventListener('click', () => {
+                exportMenu.open = false;
+                if (!currentTree) { setError('請先解析程式碼再匯出'); return; }
+                onClick();
+            });
+            list.appendChild(btn);
+        };
+        for (const [id, format] of Object.entries(SwiftUIExport.FORMATS)) {
+            item(`${format.label} (.${format.extension})`, '', () => download(`${currentRoot}.${format.extension}`, new Blob([serialize(id)], { type: format.mime })));
+            if (id === 'svg') list.appendChild(document.createElement('span'));
+            else item('複製', 'copy', () => copyText(serialize(id)));
         }
+        item('PNG (.png)', '', exportPng);
+    }
+
+    function serialize(id) {
+        return SwiftUIExport.FORMATS[id].serialize(currentTree, { root: currentRoot, name: currentRoot, file: currentFile });
     }
 
+    function download(filename, blob) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url; a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function copyText(text) {
+        navigator.clipboard.writeText(text).catch(err => setError('無法複製到剪貼簿：' + (err?.message || String(err))));
+    }
+
+    // Draw the SVG export onto a canvas at 2x for a sharper PNG
+    function exportPng() {
+        const svg = SwiftUIExport.toSVG(currentTree);
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width * 2; canvas.height = image.height * 2;
+            const ctx = canvas.getContext('2d');
+            ctx.scale(2, 2);
+            ctx.drawImage(image, 0, 0);
+            canvas.toBlob(blob => download(`${currentRoot}.png`, blob), 'image/png');
+        };
+        image.onerror = () => setError('無法產生 PNG');
+        image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+    }
+
+    buildExportMenu();
+    buildLintMenu();
+    buildLayersMenu();
+    renderComponentsMenu();
+    // Menus close on clicks outside them
+    const MENUS = [exportMenu, componentsMenu, lintMenu, layersMenu, historyMenu];
+    document.addEventListener('click', (e) => {
+        for (const menu of MENUS) if (!menu.contains(e.target)) menu.open = false;
+    });
+
+    // Button of a menu whose list `run` rebuilds: the clicked button is then no longer in the menu, so the click
+    // must not reach the handler closing menus on outside clicks
+    function menuButton(label, title, run) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            run();
+        });
+        return button;
+    }
+
+    // Compare mode: the "before" source is parsed along with the project (parseProject's `before`, undefined
+    // when it was empty) and diffed against the current tree
+    function renderDiff(after, rootName, before, expanded) {
+        resetHint();
+        if (before === undefined) {
+            setError('比較模式：請在「變更前」貼上舊版本的程式碼');
+            render(after, expanded);
+            return;
+        }
+        if (!before) setError(`變更前的程式碼中沒有 ${rootName}，所有節點視為新增`);
+        const merged = SwiftUIParser.diffTrees(before, after);
+        render(merged, expanded);
+        showDiffSummary(merged);
+        revealChanges();
+    }
+
+    function setCompareMode(on) {
+        compareMode = on;
+        beforePane.hidden = !on;
+        compareToggle.classList.toggle('active', on);
+        compareToggle.textContent = on ? '結束比較' : '比較模式';
+        if (on && !beforeInput.value) beforeInput.value = codeInput.value;
+        if (!on) resetHint();
+        if (parsedSources.length) parseNow();
+    }
+
+    function resetHint() {
+        outHint.classList.remove('diff-summary');
+        outHint.textContent = defaultHint;
+    }
+
+    // What is shown now, as a session (see session.js)
+    function currentSession() {
+        files[activeFile].source = codeInput.value;
+        const session = {
+            files: files.map(({ name, source }) => ({ name, source })),
+            root: currentRoot,
+            expanded: Array.from(expandedPaths()),
+            search: searchInput.value,
+            searchHide: searchHide.checked,
+            expandModifiers: expandModifiers.checked,
+        };
+        if (compareMode) session.before = beforeInput.value;
+        return session;
+    }
+
+    function scheduleSessionSave() {
+        clearTimeout(sessionTimer);
+        sessionTimer = setTimeout(saveSession, SESSION_DELAY);
+    }
+
+    // Put the session in the URL hash (replacing the entry, so reloading shows it again) and in its history entry
+    async function saveSession() {
+        clearTimeout(sessionTimer);
+        if (!currentTree || !files.some(f => f.source.trim())) return;
+        const id = sessionId;
+        const session = currentSession();
+        try {
+            const payload = await SwiftUISession.encode(session);
+            history.replaceState(null, '', `#session=${payload}`);
+            const saved = SwiftUISession.saveHistory(id, session, payload);
+            if (sessionId === id) sessionId = saved;
+        } catch (err) {
+            setError('無法保存工作階段：' + (err?.message || String(err)));
+        }
+        if (historyMenu.open) renderHistory();
+    }
+
+    // Show a session from a link or from the history; restoring a history entry keeps updating it
+    async function restoreSession(payload, id) {
+        let session;
+        try {
+            session = await SwiftUISession.decode(payload);
+        } catch (err) {
+            setError(err.message);
+            return;
+        }
+        restoredView = { root: session.root, expanded: session.expanded };
+        setFiles(session.files);
+        if (id) sessionId = id;
+        expandModifiers.checked = session.expandModifiers;
+        searchInput.value = session.search;
+        searchHide.checked = session.searchHide;
+        if (session.before !== undefined) beforeInput.value = session.before;
+        if (compareMode !== (session.before !== undefined)) setCompareMode(!compareMode);
+        parseNow();
+    }
+
+    // A link to a session saved before (e.g. reloading the page) continues its history entry
+    function restoreFromHash() {
+        const prefix = '#session=';
+        if (!location.hash.startsWith(prefix)) return;
+        const payload = location.hash.slice(prefix.length);
+        const saved = SwiftUISession.listHistory().find(e => e.payload === payload);
+        restoreSession(payload, saved && saved.id);
+    }
+
+    // History menu: restore, rename or delete recent sessions
+    function renderHistory() {
+        const list = historyMenu.querySelector('.history-list');
+        list.innerHTML = '';
+        const entries = SwiftUISession.listHistory();
+        if (!entries.length) {
+            const empty = document.createElement('div');
+            empty.className = 'history-empty';
+            empty.textContent = '還沒有記錄 · 解析後會自動保存';
+            list.appendChild(empty);
+            return;
+        }
+        for (const entry of entries) {
+            const item = document.createElement('div');
+            item.className = 'history-item' + (entry.id === sessionId ? ' active' : '');
+            const restore = document.createElement('button');
+            restore.className = 'history-restore';
+            restore.title = '還原這個工作階段';
+            const name = document.createElement('span');
+            name.textContent = entry.name || entry.label;
+            const time = document.createElement('span');
+            time.className = 'history-time';
+            time.textContent = new Date(entry.savedAt).toLocaleString();
+            restore.append(name, time);
+            restore.addEventListener('click', () => {
+                historyMenu.open = false;
+                restoreSession(entry.payload, entry.id);
+            });
+            item.appendChild(restore);
+            const action = (label, title, run) => {
+                item.appendChild(menuButton(label, title, () => {
+                    try {
+                        run();
+                    } catch (err) {
+                        setError(err.message);
+                    }
+                    renderHistory();
+                }));
+            };
+            action('✎', '重新命名', () => {
+                const text = prompt('記錄名稱', entry.name || entry.label);
+                if (text !== null) SwiftUISession.renameHistory(entry.id, text.trim());
+            });
+            action('✕', '刪除記錄', () => SwiftUISession.removeHistory(entry.id));
+            list.appendChild(item);
+        }
+    }
+
+    searchInput.addEventListener('input', applySearch);
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') { e.preventDefault(); gotoMatch(searchIndex + (e.shiftKey ? -1 : 1)); }
+        else if (e.key === 'Escape') { searchInput.value = ''; applySearch(); }
+    });
+    searchPrev.addEventListener('click', () => gotoMatch(searchIndex - 1));
+    searchNext.addEventListener('click', () => gotoMatch(searchIndex + 1));
+    searchHide.addEventListener('change', applySearch);
+    searchInput.addEventListener('input', scheduleSessionSave);
+    searchHide.addEventListener('change', scheduleSessionSave);
+    // Rows expanded or collapsed
+    treeRoot.addEventListener('click', scheduleSessionSave);
+    componentsInput.addEventListener('change', async () => {
+        const file = componentsInput.files[0];
+        componentsInput.value = '';
+        if (!file) return;
+        try {
+            SwiftUIComponents.loadConfig(await file.text());
+        } catch (err) {
+            setError(`${file.name}：${err.message}`);
+            return;
+        }
+        saveComponents();
+    });
+    historyMenu.addEventListener('toggle', () => { if (historyMenu.open) renderHistory(); });
+    shareLink.addEventListener('click', async () => {
+        if (!currentTree) { setError('請先解析程式碼再分享'); return; }
+        await saveSession();
+        copyText(location.href);
+        shareLink.textContent = '已複製連結';
+        setTimeout(() => { shareLink.textContent = '分享連結'; }, 1500);
+    });
+    window.addEventListener('hashchange', restoreFromHash);
+
+    compareToggle.addEventListener('click', () => setCompareMode(!compareMode));
+    wireframeToggle.addEventListener('change', () => setWireframe(wireframeToggle.checked));
+    metricsToggle.addEventListener('change', () => setMetrics(metricsToggle.checked));
+    navigationToggle.addEventListener('change', () => setNavigation(navigationToggle.checked));
+    $('#navZoomIn').addEventListener('click', () => graphControls?.zoomIn());
+    $('#navZoomOut').addEventListener('click', () => graphControls?.zoomOut());
+    $('#navReset').addEventListener('click', () => graphControls?.reset());
+    editModeToggle.addEventListener('change', () => {
+        editMode = editModeToggle.checked;
+        treeRoot.classList.toggle('editing', editMode);
+        if (renderedNodes.length) render(renderedNodes[0].node);
+    });
+    $('#metricsCsv').addEventListener('click', () => downloadMetrics('csv'));
+    $('#metricsJson').addEventListener('click', () => downloadMetrics('json'));
+    treeRoot.addEventListener('mouseover', (e) => {
+        const row = e.target.closest('.node');
+        hoverNode(row && renderedNodes.find(entry => entry.row === row)?.node);
+    });
+    treeRoot.addEventListener('mouseleave', () => hoverNode(null));
+    wireframe.addEventListener('mouseover', e => hoverNode(wireframeNodeAt(e.target)));
+    wireframe.addEventListener('mouseleave', () => hoverNode(null));
+    // Clicking a box reveals its row and selects its source
+    wireframe.addEventListener('click', (e) => {
+        const node = wireframeNodeAt(e.target);
+        const row = node && renderedNodes.find(entry => entry.node === node)?.row;
+        if (!row) return;
+        revealRow(row);
+        row.scrollIntoView({ block: 'nearest' });
+        if (node.loc) selectSource(node.loc);
+    });
     parseBtn.addEventListener('click', parseNow);
     rootSelect.addEventListener('change', parseNow);
+    layersToggle.checked = modifierLayers;
+    layersMenu.hidden = !modifierLayers;
+    layersToggle.addEventListener('change', () => {
+        modifierLayers = layersToggle.checked;
+        // Turning layers on opens the layers of the nodes in view, so the same nodes stay in view
+        const expanded = expandedPaths();
+        if (modifierLayers) {
+            for (const { node, row, path } of renderedNodes) {
+                if (isRowShown(row)) (node.modifiers || []).forEach((m, i) => expanded.add(`${path}@${i}`));
+            }
+        }
+        saveModifierView(expanded);
+    });
+    expandModifiers.addEventListener('change', () => { if (parsedSources.length) parseNow(); });
+    codeInput.addEventListener('input', () => {
+        files[activeFile].source = codeInput.value;
+        scheduleParse();
+    });
+    beforeInput.addEventListener('input', () => { if (compareMode) scheduleParse(); });
+
+    // Project mode: pick files / a folder / a zip, or drop them on the input panel
+    openFiles.addEventListener('click', () => fileInput.click());
+    openFolder.addEventListener('click', () => folderInput.click());
+    for (const input of [fileInput, folderInput]) {
+        input.addEventListener('change', () => {
+            if (input.files.length) loadProject(SwiftUIProject.readFileList(input.files));
+            input.value = '';
+        });
+    }
+    inputPanel.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        inputPanel.classList.add('dragging');
+    });
+    inputPanel.addEventListener('dragleave', (e) => {
+        if (!inputPanel.contains(e.relatedTarget)) inputPanel.classList.remove('dragging');
+    });
+    inputPanel.addEventListener('drop', (e) => {
+        e.preventDefault();
+        inputPanel.classList.remove('dragging');
+        loadProject(SwiftUIProject.readDataTransfer(e.dataTransfer));
+    });
+    codeInput.addEventListener('keyup', highlightAtCaret);
+    codeInput.addEventListener('mouseup', highlightAtCaret);
 
     expandAllBtn.addEventListener('click', () => {
         document.querySelectorAll('.children').forEach(ul => { ul.style.display = ''; });
         document.querySelectorAll('.toggle.has-children').forEach(t => { t.textContent = '▾'; });
+        scheduleSessionSave();
     });
     collapseAllBtn.addEventListener('click', () => {
         document.querySelectorAll('.children').forEach(ul => { ul.style.display = 'none'; ul.style.height = ''; ul.style.transition = ''; ul.style.opacity = ''; });
         document.querySelectorAll('.toggle.has-children').forEach(t => { t.textContent = '▸'; t.style.transform = 'rotate(0deg)'; });
+        scheduleSessionSave();
     });
 
     pasteExample.addEventListener('click', () => {
-        codeInput.value = `struct ContentView: View {\n    var body: some View {\n        ZStack {\n            Color.black\n                .ignoresSafeArea()\n            ScrollView {\n                VStack(spacing: 20) {\n                    TitleView()\n                    HeaderImageView()\n                    InfoSectionView(\n                        emoji: \"✨\", \n                        title: \"簡介\", \n                        content: \"日本環球影城（Universal Studios Japan）位於大阪，是一個充滿魔法與冒險的主題公園。公園內有眾多基於電影和動畫的主題區域和遊樂設施，吸引了來自世界各地的遊客。\"\n                    )\n                    InfoSectionView(\n                        emoji: \"🏰\", \n                        title: \"主題區域\", \n                        content: \"\"\"\n                        超級任天堂世界\n                        哈利波特魔法世界\n                        小小兵樂園\n                        水世界\n                        親善村\n                        侏儸紀公園\n                        環球奇境\n                        好萊塢區域\n                        紐約區域\n                        舊金山區域\n                        \"\"\"\n                    )\n                }\n            }\n            .contentMargins(10)\n        }\n    }\n}\n\nstruct TitleView: View {\n    var body: some View {\n        Text(\"日本環球影城\")\n            .font(.system(size: 34, weight: .bold, design: .rounded))\n            .foregroundStyle(.white)\n            .shadow(radius: 5)\n    }\n}\n\nstruct HeaderImageView: View {\n    var body: some View {\n        Image(.usj)\n            .resizable()\n            .scaledToFill()\n            .frame(minWidth: 0, maxWidth: .infinity, maxHeight: 250)\n            .clipShape(.rect(cornerRadius: 15))\n    }\n}\n\nstruct InfoSectionView: View {\n    let emoji: String\n    let title: String\n    let content: String\n    \n    var body: some View {\n        VStack(alignment: .leading, spacing: 10) {\n            HStack {\n                Text(emoji)\n                    .font(.title2)\n                Text(title)\n                    .font(.title2)\n                    .fontWeight(.semibold)\n                    .foregroundStyle(.blue)\n            }\n            Text(content)\n                .font(.body)\n                .foregroundStyle(.gray)\n        }\n        .padding()\n        .frame(maxWidth: .infinity, alignment: .leading)\n        .background(.white.opacity(0.9))\n        .clipShape(.rect(cornerRadius: 15))\n        .shadow(color: .gray.opacity(0.3), radius: 10, y: 5)\n    }\n}`;
+        setFiles([]);
+        setEditorText(`struct ContentView: View {\n    var body: some View {\n        ZStack {\n            Color.black\n                .ignoresSafeArea()\n            ScrollView {\n                VStack(spacing: 20) {\n                    TitleView()\n                    HeaderImageView()\n                    InfoSectionView(\n                        emoji: \"✨\", \n                        title: \"簡介\", \n                        content: \"日本環球影城（Universal Studios Japan）位於大阪，是一個充滿魔法與冒險的主題公園。公園內有眾多基於電影和動畫的主題區域和遊樂設施，吸引了來自世界各地的遊客。\"\n                    )\n                    InfoSectionView(\n                        emoji: \"🏰\", \n                        title: \"主題區域\", \n                        content: \"\"\"\n                        超級任天堂世界\n                        哈利波特魔法世界\n                        小小兵樂園\n                        水世界\n                        親善村\n                        侏儸紀公園\n                        環球奇境\n                        好萊塢區域\n                        紐約區域\n                        舊金山區域\n                        \"\"\"\n                    )\n                }\n            }\n            .contentMargins(10)\n        }\n    }\n}\n\nstruct TitleView: View {\n    var body: some View {\n        Text(\"日本環球影城\")\n            .font(.system(size: 34, weight: .bold, design: .rounded))\n            .foregroundStyle(.white)\n            .shadow(radius: 5)\n    }\n}\n\nstruct HeaderImageView: View {\n    var body: some View {\n        Image(.usj)\n            .resizable()\n            .scaledToFill()\n            .frame(minWidth: 0, maxWidth: .infinity, maxHeight: 250)\n            .clipShape(.rect(cornerRadius: 15))\n    }\n}\n\nstruct InfoSectionView: View {\n    let emoji: String\n    let title: String\n    let content: String\n    \n    var body: some View {\n        VStack(alignment: .leading, spacing: 10) {\n            HStack {\n                Text(emoji)\n                    .font(.title2)\n                Text(title)\n                    .font(.title2)\n                    .fontWeight(.semibold)\n                    .foregroundStyle(.blue)\n            }\n            Text(content)\n                .font(.body)\n                .foregroundStyle(.gray)\n        }\n        .padding()\n        .frame(maxWidth: .infinity, alignment: .leading)\n        .background(.white.opacity(0.9))\n        .clipShape(.rect(cornerRadius: 15))\n        .shadow(color: .gray.opacity(0.3), radius: 10, y: 5)\n    }\n}`);
         parseNow();
     });
 
     showReadme.addEventListener('click', (e) => {
         e.preventDefault();
-        alert('使用方式:\n1) 貼上 SwiftUI 程式碼\n2) 點擊 解析並生成\n3) 於上方 Root View 下拉選擇根節點\n\n注意: 解析採啟發式，可能無法涵蓋所有 SwiftUI 語法，如條件視圖、result builder 複雜控制流等。');
+        alert('使用方式:\n1) 貼上 SwiftUI 程式碼\n2) 輸入時會自動解析 (或點擊 解析並生成 立即解析)\n3) 於上方 Root View 下拉選擇根節點\n\n注意: 解析採啟發式，可能無法涵蓋所有 SwiftUI 語法，如條件視圖、result builder 複雜控制流等。');
     });
 
     // B612 starfield
@@ -199,4 +1662,5 @@
     }
     window.addEventListener('resize', () => spawnStars());
     spawnStars();
+    restoreFromHash();
 })();
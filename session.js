@@ -0,0 +1,115 @@
+// Sessions: what the page shows, as plain data that fits in a link and in localStorage
+// { files: [{ name, source }], root, expanded: [row paths], search, searchHide, expandModifiers, before? }
+// - encode / decode: session <-> URL hash payload ("z" + base64url of deflate-raw JSON; "j" + plain JSON
+//   where CompressionStream is missing); nothing leaves the browser
+// - history: recent sessions in localStorage, newest first: [{ id, name, label, savedAt, payload }]
+//   `name` is set by renaming, `label` (root view and file count) is derived when saving; a renamed entry is kept
+//   as it was, later changes to its session are saved as a new entry
+// Usable from the page (window.SwiftUISession) and from Node (module.exports).
+
+(function () {
+    const HISTORY_KEY = 'swiftui-view-hierarchy.history';
+    const HISTORY_MAX = 20;
+
+    function toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    }
+
+    async function pipe(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // Keep known fields with the expected types, so a hand-edited link cannot break the page
+    function normalize(data) {
+        if (!data || !Array.isArray(data.files)) throw new Error('缺少檔案內容');
+        const session = {
+            files: data.files.filter(f => f && typeof f.source === 'string')
+                .map(f => ({ name: typeof f.name === 'string' ? f.name : undefined, source: f.source })),
+            root: typeof data.root === 'string' ? data.root : '',
+            expanded: Array.isArray(data.expanded) ? data.expanded.filter(p => typeof p === 'string') : [],
+            search: typeof data.search === 'string' ? data.search : '',
+            searchHide: Boolean(data.searchHide),
+            expandModifiers: Boolean(data.expandModifiers),
+        };
+        if (typeof data.before === 'string') session.before = data.before;
+        return session;
+    }
+
+    async function encode(session) {
+        const json = new TextEncoder().encode(JSON.stringify(session));
+        if (typeof CompressionStream === 'undefined') return 'j' + toBase64Url(json);
+        return 'z' + toBase64Url(await pipe(json, new CompressionStream('deflate-raw')));
+    }
+
+    async function decode(payload) {
+        try {
+            let bytes = fromBase64Url(payload.slice(1));
+            if (payload[0] === 'z') bytes = await pipe(bytes, new DecompressionStream('deflate-raw'));
+            else if (payload[0] !== 'j') throw new Error('不支援的格式');
+            return normalize(JSON.parse(new TextDecoder().decode(bytes)));
+        } catch (err) {
+            throw new Error(`連結中的內容無法讀取 (${err.message})`);
+        }
+    }
+
+    function label(session) {
+        const named = session.files.filter(f => f.name !== undefined).length;
+        return `${session.root || '未命名'}${named > 1 ? ` · ${named} 個檔案` : ''}`;
+    }
+
+    function newId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    function listHistory() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(HISTORY_KEY));
+            return Array.isArray(entries) ? entries : [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    // Oldest entries are dropped when the storage is full
+    function writeHistory(entries) {
+        for (let list = entries.slice(0, HISTORY_MAX); ; list = list.slice(0, -1)) {
+            try {
+                localStorage.setItem(HISTORY_KEY, JSON.stringify(list));
+                return;
+            } catch (err) {
+                if (list.length <= 1) throw new Error('瀏覽器儲存空間不足，無法保存記錄');
+            }
+        }
+    }
+
+    // Add or update the entry `id` and move it to the top; returns the id of the entry written
+    function saveHistory(id, session, payload) {
+        const entries = listHistory();
+        const previous = entries.find(e => e.id === id);
+        if (previous && previous.payload === payload) return id;
+        const entry = { id: previous && previous.name ? newId() : id, name: '', label: label(session), savedAt: Date.now(), payload };
+        writeHistory([entry, ...entries.filter(e => e.id !== entry.id)]);
+        return entry.id;
+    }
+
+    function renameHistory(id, name) {
+        writeHistory(listHistory().map(e => (e.id === id ? { ...e, name } : e)));
+    }
+
+    function removeHistory(id) {
+        writeHistory(listHistory().filter(e => e.id !== id));
+    }
+
+    // Public API (browser + Node)
+    const SwiftUISessionAPI = { encode, decode, newId, listHistory, saveHistory, renameHistory, removeHistory };
+    if (typeof window !== 'undefined') window.SwiftUISession = SwiftUISessionAPI;
+    if (typeof module !== 'undefined' && module.exports) module.exports = SwiftUISessionAPI;
+})();
@@ -0,0 +1,54 @@
+// Source edits; run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SwiftUIParser = require('../parser.js');
+const SwiftUIEdit = require('../edit.js');
+
+const SOURCE = `
+struct ContentView: View {
+    var body: some View {
+        VStack {
+            Text("Call site")
+            Card()
+                .sheet(isPresented: $editing) { Text("Sheet") }
+            Text("Styled").cardStyle()
+        }
+    }
+}
+struct Card: View {
+    var body: some View { Text("Card body").padding() }
+}
+extension View {
+    func cardStyle() -> some View { self.padding().background { Color.white } }
+}`;
+
+// Every node (views inside modifiers included), by kind, name and first argument
+function nodesByLabel(tree) {
+    const nodes = new Map();
+    (function walk(node) {
+        nodes.set(`${node.kind}:${node.name}${node.props.length ? node.props[0] : ''}`, node);
+        for (const mod of node.modifiers) for (const part of [...mod.args, ...mod.closures]) (part.children || []).forEach(walk);
+        node.children.forEach(walk);
+    })(tree);
+    return nodes;
+}
+
+const nodes = nodesByLabel(SwiftUIParser.buildTreeForRoot(SwiftUIParser.extractViews(SOURCE), 'ContentView', { expandModifiers: true }));
+const none = { move: false, delete: false, wrap: false, unwrap: false, modifiers: false };
+
+test('nodes inlined from another body cannot be edited', () => {
+    assert.equal(SwiftUIEdit.capabilities(nodes.get('View:Text"Call site"')).move, true);
+    assert.equal(SwiftUIEdit.capabilities(nodes.get('CustomView:Card')).modifiers, true);
+    assert.equal(SwiftUIEdit.capabilities(nodes.get('View:Text"Sheet"')).delete, true);
+    assert.deepEqual(SwiftUIEdit.capabilities(nodes.get('View:Text"Card body"')), none);
+    assert.deepEqual(SwiftUIEdit.capabilities(nodes.get('Modifier:cardStyle()')), none);
+    assert.deepEqual(SwiftUIEdit.capabilities(nodes.get('View:Text"Styled"')), none);
+});
+
+test('edit functions refuse inlined nodes', () => {
+    const inlined = nodes.get('View:Text"Card body"');
+    assert.throws(() => SwiftUIEdit.deleteNode(SOURCE, inlined), /無法對 Text 執行這個編輯/);
+    assert.throws(() => SwiftUIEdit.addModifier(SOURCE, inlined, 'bold()'), /無法對 Text 執行這個編輯/);
+    assert.throws(() => SwiftUIEdit.moveNode(SOURCE, nodes.get('View:Text"Call site"'), inlined), /無法對 Text 執行這個編輯/);
+    assert.equal(SwiftUIEdit.deleteNode(SOURCE, nodes.get('View:Text"Call site"')).includes('Call site'), false);
+});
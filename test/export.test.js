@@ -0,0 +1,34 @@
+// Serializers; run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SwiftUIParser = require('../parser.js');
+const SwiftUIExport = require('../export.js');
+
+function labels(source, root = 'ContentView') {
+    const tree = SwiftUIParser.buildTreeForRoot(SwiftUIParser.extractViews(source), root);
+    const out = [];
+    (function walk(node) {
+        out.push(SwiftUIExport.nodeLabel(node));
+        node.children.forEach(walk);
+    })(tree);
+    return out;
+}
+
+test('tree labels show bound values and call-site argument labels', () => {
+    const out = labels(`
+struct ContentView: View {
+    var body: some View {
+        VStack {
+            Row(title: "Hello")
+            row(item, highlighted: true)
+        }
+    }
+    func row(_ item: String, highlighted: Bool) -> some View { Text(item) }
+}
+struct Row: View {
+    let title: String
+    var body: some View { Text(title).help(title) }
+}`);
+    assert.ok(out.includes('Text(title ⇒ "Hello") .help(title) ⇒ .help("Hello")'), out.join('\n'));
+    assert.ok(out.includes('row(item, highlighted: true) [Function]'), out.join('\n'));
+});
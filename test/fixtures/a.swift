@@ -0,0 +1,35 @@
+import SwiftUI
+
+@main
+struct MyApp: App {
+    var body: some Scene {
+        WindowGroup {
+            ContentView()
+        }
+    }
+}
+
+struct ContentView: View {
+    @State private var items = ["One", "Two"]
+
+    var body: some View {
+        NavigationStack {
+            List {
+                ForEach(items, id: \.self) { item in
+                    Row(title: item)
+                }
+            }
+            .navigationTitle("Items")
+            .sheet(isPresented: .constant(false)) { Text("Sheet") }
+        }
+    }
+}
+
+struct Row: View {
+    let title: String
+
+    var body: some View {
+        Text(title)
+            .padding(8)
+    }
+}
@@ -0,0 +1,21 @@
+import SwiftUI
+
+struct ContentView: View {
+    @State private var showList = false
+
+    var body: some View {
+        ScrollView {
+            VStack {
+                Text("Measured")
+                    .background(GeometryReader { proxy in Color.clear })
+                    .overlay { GeometryReader { proxy in Color.clear } }
+                Button("Show") { showList = true }
+                    .sheet(isPresented: $showList) {
+                        List { Text("Row") }
+                    }
+                GeometryReader { proxy in Text("Inline") }
+                Image("photo")
+            }
+        }
+    }
+}
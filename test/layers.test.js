@@ -0,0 +1,35 @@
+// Modifier layers; run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SwiftUIParser = require('../parser.js');
+const SwiftUILayers = require('../layers.js');
+
+const tree = SwiftUIParser.buildTreeForRoot(SwiftUIParser.extractViews(`
+struct ContentView: View {
+    var body: some View {
+        Text("Title")
+            .padding()
+            .background(Color.white)
+            .overlay(alignment: .topTrailing) { Badge() }
+            .accessibilityLabel("Title")
+            .onTapGesture { open() }
+            .onAppear { load() }
+            .navigationTitle("Home")
+    }
+}`), 'ContentView');
+
+test('layers run from the outermost modifier inwards with their category and views', () => {
+    const layers = SwiftUILayers.layersOf(tree);
+    assert.deepEqual(layers.map(l => [l.modifier.name, l.index, l.category]), [
+        ['navigationTitle', 6, 'other'], ['onAppear', 5, 'lifecycle'], ['onTapGesture', 4, 'gesture'],
+        ['accessibilityLabel', 3, 'accessibility'], ['overlay', 2, 'style'], ['background', 1, 'style'], ['padding', 0, 'layout'],
+    ]);
+    const [overlay, background] = layers.slice(4, 6);
+    assert.deepEqual([overlay.views.map(v => v.name), overlay.behind], [['Badge'], false]);
+    assert.deepEqual([background.views.map(v => v.name), background.behind], [['Color.white'], true]);
+});
+
+test('hidden categories are left out and unknown handlers count as lifecycle', () => {
+    assert.deepEqual(SwiftUILayers.layersOf(tree, ['style', 'other', 'lifecycle']).map(l => l.modifier.name), ['onTapGesture', 'accessibilityLabel', 'padding']);
+    assert.deepEqual(['onKeyPress', 'buttonStyle', 'magnifyGesture', 'help'].map(SwiftUILayers.categoryOf), ['lifecycle', 'style', 'gesture', 'accessibility']);
+});
@@ -0,0 +1,51 @@
+// Lint rules and `swiftui-tree --lint`; run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const SwiftUIParser = require('../parser.js');
+const SwiftUILint = require('../lint.js');
+
+const CLI = path.join(__dirname, '..', 'bin', 'swiftui-tree');
+const FIXTURE = path.join(__dirname, 'fixtures', 'lint.swift');
+
+function findings(config) {
+    const tree = SwiftUIParser.buildTreeForRoot(SwiftUIParser.extractViews(fs.readFileSync(FIXTURE, 'utf8')), 'ContentView');
+    return SwiftUILint.lint(tree, config).map(f => `${f.rule}@${f.loc.line}`);
+}
+
+test('content of presentations, backgrounds and overlays is not inside the ScrollView', () => {
+    assert.deepEqual(findings(), ['no-geometry-reader-in-scroll-view@16', 'image-accessibility-label@17']);
+});
+
+test('rules can be turned off or given another severity', () => {
+    assert.deepEqual(findings({ 'image-accessibility-label': 'off' }), ['no-geometry-reader-in-scroll-view@16']);
+    const tree = SwiftUIParser.buildTreeForRoot(SwiftUIParser.extractViews(fs.readFileSync(FIXTURE, 'utf8')), 'ContentView');
+    const [finding] = SwiftUILint.lint(tree, { 'no-geometry-reader-in-scroll-view': 'error', 'image-accessibility-label': false });
+    assert.equal(finding.severity, 'error');
+    assert.equal(finding.path, 'ScrollView › VStack › GeometryReader');
+});
+
+test('swiftui-tree --lint prints findings like compiler diagnostics', () => {
+    const run = spawnSync(process.execPath, [CLI, '--lint', FIXTURE], { encoding: 'utf8' });
+    assert.equal(run.status, 0);
+    assert.deepEqual(run.stdout.trim().split('\n').filter(line => !line.startsWith(' ')), [
+        `${FIXTURE}:16:17: warning: GeometryReader 在 ScrollView 中會取得捲動方向上無限制/為零的尺寸，版面常會出錯 [no-geometry-reader-in-scroll-view]`,
+        `${FIXTURE}:17:17: warning: Image 沒有 .accessibilityLabel(...)；純裝飾用圖片請用 Image(decorative:) 或 .accessibilityHidden(true) [image-accessibility-label]`,
+    ]);
+    assert.match(run.stderr, /0 error\(s\), 2 warning\(s\), 0 info/);
+});
+
+test('swiftui-tree --lint exits with 4 on error findings and prints JSON with --format json', (t) => {
+    const config = path.join(fs.mkdtempSync(path.join(require('os').tmpdir(), 'swiftui-tree-')), 'rules.json');
+    t.after(() => fs.rmSync(path.dirname(config), { recursive: true, force: true }));
+    fs.writeFileSync(config, JSON.stringify({ 'image-accessibility-label': 'error' }));
+    const run = spawnSync(process.execPath, [CLI, '--lint-config', config, '--format', 'json', FIXTURE], { encoding: 'utf8' });
+    assert.equal(run.status, 4);
+    const out = JSON.parse(run.stdout);
+    assert.deepEqual(out.map(f => [f.rule, f.severity, f.root]), [
+        ['no-geometry-reader-in-scroll-view', 'warning', 'ContentView'],
+        ['image-accessibility-label', 'error', 'ContentView'],
+    ]);
+});
@@ -0,0 +1,31 @@
+// Hierarchy metrics; run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SwiftUIParser = require('../parser.js');
+const SwiftUIMetrics = require('../metrics.js');
+
+test('views inside modifiers are counted in the struct that applies the modifier', () => {
+    const map = SwiftUIParser.extractViews(`
+struct ContentView: View {
+    var body: some View {
+        VStack {
+            Card()
+                .sheet(isPresented: $editing) { Editor() }
+        }
+    }
+}
+struct Card: View {
+    var body: some View { Text("Card") }
+}
+struct Editor: View {
+    var body: some View { Form { Text("Name").padding() } }
+}`);
+    const metrics = SwiftUIMetrics.computeMetrics(SwiftUIParser.buildTreeForRoot(map, 'ContentView'), { root: 'ContentView' });
+    // VStack › Card › Text, and Editor › Form › Text one level below Card
+    assert.equal(metrics.totals.nodes, 6);
+    assert.equal(metrics.totals.maxDepth, 5);
+    assert.equal(metrics.totals.modifiers, 2);
+    assert.deepEqual(metrics.customViews.map(c => [c.name, c.count]), [['Card', 1], ['Editor', 1]]);
+    const structs = Object.fromEntries(metrics.structs.map(s => [s.name, [s.nodes, s.maxDepth, s.modifiers]]));
+    assert.deepEqual(structs, { ContentView: [3, 3, 1], Card: [1, 1, 0], Editor: [2, 2, 1] });
+});
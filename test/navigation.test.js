@@ -0,0 +1,34 @@
+// Navigation graph; run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SwiftUIParser = require('../parser.js');
+const SwiftUINavigation = require('../navigation.js');
+
+test('edges start at the struct whose body holds the trigger', () => {
+    const viewMap = SwiftUIParser.extractViews(`
+struct Root: View {
+    var body: some View {
+        Card {
+            NavigationLink("A") { AView() }
+        }
+        .sheet(isPresented: $showB) { BView() }
+        footer
+    }
+    var footer: some View { NavigationLink(destination: CView()) { Text("C") } }
+}
+struct Card<Content: View>: View {
+    @ViewBuilder let content: Content
+    var body: some View { VStack { content }.popover(isPresented: $info) { CView() } }
+}
+struct AView: View { var body: some View { Text("A") } }
+struct BView: View { var body: some View { Text("B") } }
+struct CView: View { var body: some View { Text("C") } }`);
+    const graph = SwiftUINavigation.buildGraph(viewMap);
+    assert.deepEqual(graph.edges.map(e => `${e.from} -${e.kind}-> ${e.to}`).sort(), [
+        'Card -popover-> CView',
+        'Root -navigationLink-> AView',
+        'Root -navigationLink-> CView',
+        'Root -sheet-> BView',
+    ]);
+    assert.deepEqual(graph.nodes.filter(n => n.entry).map(n => n.name).sort(), ['Card', 'Root']);
+});
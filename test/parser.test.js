@@ -0,0 +1,118 @@
+// Parser behavior on small sources; run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const SwiftUIParser = require('../parser.js');
+const SwiftUIComponents = require('../components.js');
+
+// Tree of `root` built from a single source text
+function treeOf(source, root = 'ContentView', options) {
+    return SwiftUIParser.buildTreeForRoot(SwiftUIParser.extractViews(source), root, options);
+}
+
+// First node (depth first) matching `predicate`
+function find(node, predicate) {
+    if (predicate(node)) return node;
+    for (const child of node.children || []) {
+        const found = find(child, predicate);
+        if (found) return found;
+    }
+    return null;
+}
+
+test('switch cases list each bound name once', () => {
+    const tree = treeOf(`
+struct ContentView: View {
+    var body: some View {
+        switch state {
+        case .loading:
+            ProgressView()
+        case .loaded(let items), .cached(let items):
+            List(items) { item in Text(item) }
+        case let .failed(error, code) where code > 0:
+            Text(error)
+        default:
+            EmptyView()
+        }
+    }
+}`);
+    const cases = find(tree, n => n.kind === 'Switch').children;
+    assert.deepEqual(cases.map(c => c.name), ['case .loading', 'case .loaded(let items), .cached(let items)', 'case let .failed(error, code) where code > 0', 'default']);
+    assert.deepEqual(cases.map(c => c.bindings), [undefined, ['items'], ['error', 'code'], undefined]);
+});
+
+test('registered types: wrapped views, Button label closures, Menu content and shadowing structs', (t) => {
+    SwiftUIComponents.register({ name: 'Card', kind: 'container', slots: ['header'] });
+    t.after(() => SwiftUIComponents.configure());
+    const tree = treeOf(`
+struct ContentView: View {
+    var body: some View {
+        VStack {
+            AnyView(Text("Wrapped"))
+            Button(action: save) { Label("Save", systemImage: "tray") }
+            Button { save() } label: { Text("Tap") }
+            Card()
+            Menu { Button("Copy") { copy() } } label: { Image(systemName: "ellipsis") }
+            Menu("More", content: { Button("Share") { share() } })
+        }
+    }
+}
+struct Card: View {
+    var body: some View { Text("Card body") }
+}`);
+    const [anyView, actionButton, trailingButton, card, menu, titledMenu] = find(tree, n => n.name === 'VStack').children;
+    assert.deepEqual(anyView.children.map(c => c.name), ['Text']);
+    for (const button of [actionButton, trailingButton]) {
+        assert.deepEqual(button.children.map(c => [c.kind, c.name]), [['Slot', 'label']]);
+    }
+    assert.equal(actionButton.children[0].children[0].name, 'Label');
+    assert.equal(card.kind, 'CustomView');
+    assert.deepEqual(card.children[0].props, ['"Card body"']);
+    assert.equal(menu.kind, 'Container');
+    assert.deepEqual(menu.children.map(c => [c.name, c.children[0].name]), [['content', 'Button'], ['label', 'Image']]);
+    assert.deepEqual(titledMenu.children.map(c => [c.name, c.children[0].props[0]]), [['content', '"Share"']]);
+});
+
+test('diagnostics go to the array of the build that found them', () => {
+    const map = SwiftUIParser.extractViews(`
+struct ContentView: View {
+    var body: some View {
+        VStack {
+            42
+            Loop()
+        }
+    }
+}
+struct Loop: View {
+    var body: some View { Loop() }
+}`);
+    const first = [];
+    const second = [];
+    SwiftUIParser.buildTreeForRoot(map, 'ContentView', { diagnostics: first });
+    SwiftUIParser.buildTreeForRoot(map, 'Loop');
+    SwiftUIParser.buildTreeForRoot(map, 'Loop', { diagnostics: second });
+    assert.deepEqual(first.map(d => [d.code, d.loc.line]), [['unknown-expression', 5], ['recursion', 11]]);
+    assert.deepEqual(second.map(d => [d.code, d.loc.line]), [['recursion', 11]]);
+});
+
+test('swiftui-tree --diagnostics with an unknown --root reports it like the tree output', () => {
+    const cli = path.join(__dirname, '..', 'bin', 'swiftui-tree');
+    const fixture = path.join(__dirname, 'fixtures', 'a.swift');
+    for (const args of [['--root', 'Missing'], ['--diagnostics', '--root', 'Missing']]) {
+        const run = spawnSync(process.execPath, [cli, ...args, fixture], { encoding: 'utf8' });
+        assert.equal(run.status, 1, args.join(' '));
+        assert.equal(run.stdout, '');
+        assert.match(run.stderr, /view Missing not found/);
+    }
+});
+
+test('the init body is the first brace token after the parameter list', () => {
+    const map = SwiftUIParser.extractViews(`
+struct Card: View {
+    let name: String
+    init(title: String) /* { */ throws { self.name = title }
+    var body: some View { Text(name) }
+}`);
+    assert.deepEqual(map.get('Card').initAssignments, { name: 'title' });
+});
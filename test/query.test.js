@@ -0,0 +1,25 @@
+// Selector queries; run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SwiftUIParser = require('../parser.js');
+const SwiftUIQuery = require('../query.js');
+
+const tree = SwiftUIParser.buildTreeForRoot(SwiftUIParser.extractViews(`
+struct ContentView: View {
+    var body: some View {
+        VStack {
+            Text("Title")
+            Button("Edit") { editing = true }
+                .sheet(isPresented: $editing) {
+                    NavigationStack { Text("Editor") }
+                }
+        }
+        .overlay(alignment: .top) { Text("Badge") }
+    }
+}`), 'ContentView');
+
+test('queries reach views inside modifiers', () => {
+    assert.deepEqual(SwiftUIQuery.queryAll(tree, 'Text').map(n => n.props[0]), ['"Title"', '"Editor"', '"Badge"']);
+    assert.deepEqual(SwiftUIQuery.queryAll(tree, 'Button NavigationStack > Text').map(n => n.props[0]), ['"Editor"']);
+    assert.deepEqual(SwiftUIQuery.queryAll(tree, 'VStack > Text').map(n => n.props[0]), ['"Title"', '"Badge"']);
+});
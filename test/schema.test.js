@@ -0,0 +1,43 @@
+// The CLI's JSON output against schema/swiftui-tree.schema.json; run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const schema = require('../schema/swiftui-tree.schema.json');
+
+const CLI = path.join(__dirname, '..', 'bin', 'swiftui-tree');
+const FIXTURE = path.join(__dirname, 'fixtures', 'a.swift');
+
+// Checks the keywords the schema uses (type, enum, const, required, properties, items, $ref);
+// returns the errors as `path: message`
+function validate(value, node, at = '$', errors = []) {
+    if (node.$ref) node = node.$ref.split('/').slice(1).reduce((o, key) => o[key], schema);
+    const typeOf = v => (v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v);
+    if (node.type) {
+        const types = [].concat(node.type);
+        const type = typeOf(value);
+        if (!types.includes(type) && !(type === 'integer' && types.includes('number'))) errors.push(`${at}: expected ${types.join(' | ')}, got ${type}`);
+    }
+    if (node.enum && !node.enum.includes(value)) errors.push(`${at}: ${JSON.stringify(value)} is not one of ${node.enum.join(', ')}`);
+    if ('const' in node && value !== node.const) errors.push(`${at}: expected ${JSON.stringify(node.const)}`);
+    if (typeOf(value) === 'object') {
+        for (const key of node.required || []) if (!(key in value)) errors.push(`${at}: missing ${key}`);
+        for (const [key, sub] of Object.entries(node.properties || {})) {
+            if (key in value) validate(value[key], sub, `${at}.${key}`, errors);
+        }
+    }
+    if (Array.isArray(value) && node.items) value.forEach((item, i) => validate(item, node.items, `${at}[${i}]`, errors));
+    return errors;
+}
+
+test('swiftui-tree --format json output of every root matches the schema', () => {
+    const docs = JSON.parse(execFileSync(process.execPath, [CLI, '--all', '--format', 'json', FIXTURE], { encoding: 'utf8' }));
+    assert.deepEqual(docs.map(d => d.root), ['MyApp', 'ContentView', 'Row']);
+    const kinds = new Set();
+    (function collect(node) {
+        kinds.add(node.kind);
+        node.children.forEach(collect);
+    })(docs[1].tree);
+    assert.ok(kinds.has('ForEach'));
+    for (const doc of docs) assert.deepEqual(validate(doc, schema), [], `root ${doc.root}`);
+});
@@ -0,0 +1,60 @@
+// Session links and history; run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SwiftUISession = require('../session.js');
+
+// localStorage of the page, kept in memory
+function useStorage(t) {
+    const items = new Map();
+    global.localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+    };
+    t.after(() => { delete global.localStorage; });
+}
+
+const session = {
+    files: [{ name: 'ContentView.swift', source: 'struct ContentView: View {\n    var body: some View { Text("€ 5") }\n}' }],
+    root: 'ContentView',
+    expanded: ['0', '0/1'],
+    search: 'Text',
+    searchHide: true,
+    expandModifiers: false,
+};
+
+test('encode and decode round trip, compressed or not', async (t) => {
+    const payload = await SwiftUISession.encode(session);
+    assert.equal(payload[0], 'z');
+    assert.deepEqual(await SwiftUISession.decode(payload), session);
+
+    const { CompressionStream } = global;
+    delete global.CompressionStream;
+    t.after(() => { global.CompressionStream = CompressionStream; });
+    const plain = await SwiftUISession.encode(session);
+    assert.equal(plain[0], 'j');
+    assert.deepEqual(await SwiftUISession.decode(plain), session);
+});
+
+test('decode drops unknown fields and rejects what it cannot read', async () => {
+    const payload = 'j' + Buffer.from(JSON.stringify({ files: [{ source: 'x' }, { name: 'y' }], root: 1, extra: true })).toString('base64url');
+    assert.deepEqual(await SwiftUISession.decode(payload), {
+        files: [{ name: undefined, source: 'x' }], root: '', expanded: [], search: '', searchHide: false, expandModifiers: false,
+    });
+    await assert.rejects(SwiftUISession.decode('q' + payload.slice(1)), /連結中的內容無法讀取 \(不支援的格式\)/);
+    await assert.rejects(SwiftUISession.decode('j' + Buffer.from('{}').toString('base64url')), /缺少檔案內容/);
+});
+
+test('history keeps the 20 newest sessions and a renamed entry as it was', (t) => {
+    useStorage(t);
+    for (let i = 0; i < 25; i++) SwiftUISession.saveHistory(`id${i}`, { ...session, root: `View${i}` }, `payload${i}`);
+    const entries = SwiftUISession.listHistory();
+    assert.equal(entries.length, 20);
+    assert.deepEqual([entries[0].id, entries[19].id], ['id24', 'id5']);
+    assert.equal(entries[0].label, 'View24');
+
+    assert.equal(SwiftUISession.saveHistory('id24', session, 'payload24'), 'id24');
+    SwiftUISession.renameHistory('id24', '草稿');
+    const id = SwiftUISession.saveHistory('id24', session, 'changed');
+    assert.notEqual(id, 'id24');
+    assert.deepEqual(SwiftUISession.listHistory().slice(0, 2).map(e => [e.name, e.payload]), [['', 'changed'], ['草稿', 'payload24']]);
+});
@@ -0,0 +1,39 @@
+// Swift tokens; run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SwiftUITokenizer = require('../tokenizer.js');
+
+// [type, text] of every token
+const tokensOf = source => SwiftUITokenizer.tokenize(source).tokens.map(t => [t.type, t.text]);
+
+test('interpolations, strings inside them included, stay in one string token', () => {
+    assert.deepEqual(tokensOf('Text("Hi \\(user.name ?? "guest (new)")!").bold()'), [
+        ['identifier', 'Text'], ['punct', '('], ['string', '"Hi \\(user.name ?? "guest (new)")!"'], ['punct', ')'],
+        ['punct', '.'], ['identifier', 'bold'], ['punct', '('], ['punct', ')'],
+    ]);
+    const { tokens } = SwiftUITokenizer.tokenize('Text("""\n\\(a) ) "\n""")');
+    assert.deepEqual(tokens.map(t => t.type), ['identifier', 'punct', 'string', 'punct']);
+    assert.equal(tokens[1].match, 3);
+});
+
+test('raw strings close only on a quote with as many hashes', () => {
+    assert.deepEqual(tokensOf('let re = #"a "quoted" \\(no) \\#(yes)"# + ##"x"#y"##'), [
+        ['identifier', 'let'], ['identifier', 're'], ['operator', '='], ['string', '#"a "quoted" \\(no) \\#(yes)"#'],
+        ['operator', '+'], ['string', '##"x"#y"##'],
+    ]);
+});
+
+test('nested comments are skipped whole', () => {
+    const { tokens, comments } = SwiftUITokenizer.tokenize('a /* x /* y */ z */ b /* open');
+    assert.deepEqual(comments, [{ start: 2, end: 19 }, { start: 22, end: 29, unterminated: true }]);
+    assert.deepEqual(tokens.map(t => t.text), ['a', 'b']);
+});
+
+test('an unterminated string gives back the brackets opened on its line', () => {
+    const { tokens } = SwiftUITokenizer.tokenize('f(\n    g("open)\n)\nc');
+    assert.deepEqual(tokens.map(t => t.text), ['f', '(', 'g', '(', '"open)', ')', 'c']);
+    assert.equal(tokens[4].unterminated, true);
+    assert.equal(tokens[1].match, 5);
+    assert.equal(tokens[3].match, -1);
+    assert.equal(tokens[6].nl, true);
+});
@@ -0,0 +1,93 @@
+// Wireframe preview; run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SwiftUIParser = require('../parser.js');
+const SwiftUIWireframe = require('../wireframe.js');
+
+// The few DOM calls wireframe.js makes, on plain objects
+const document = {
+    createElement(tag) {
+        const el = {
+            tag, className: '', style: {}, dataset: {}, children: [], textContent: '', title: '',
+            appendChild(child) { el.children.push(child); return child; },
+            append(...children) { el.children.push(...children); },
+            set innerHTML(html) { el.children = []; },
+        };
+        el.classList = {
+            contains: name => el.className.split(' ').includes(name),
+            add: name => { el.className += ` ${name}`; },
+        };
+        return el;
+    },
+};
+
+// The box of every node, from a single source text
+function render(source) {
+    global.document = document;
+    try {
+        const tree = SwiftUIParser.buildTreeForRoot(SwiftUIParser.extractViews(source), 'ContentView');
+        const container = document.createElement('div');
+        const boxes = SwiftUIWireframe.render(tree, container);
+        return { tree, root: container.children[0], boxes };
+    } finally {
+        delete global.document;
+    }
+}
+
+// `class text` of an element and its descendants, indented by depth
+function outline(el, depth = 0) {
+    const classes = el.className.split(' ').filter(c => c && c !== 'wf').join('.');
+    return [`${'  '.repeat(depth)}${classes}${el.textContent ? ` ${el.textContent}` : ''}`, ...el.children.flatMap(c => outline(c, depth + 1))];
+}
+
+test('stacks, texts and controls become boxes, with only the first branch drawn', () => {
+    const { root } = render(`
+struct ContentView: View {
+    var body: some View {
+        VStack(alignment: .leading, spacing: 12) {
+            Text("Title")
+            if loggedIn {
+                Button("Log out") { logout() }
+            } else {
+                Text("Welcome")
+            }
+            Toggle("Alerts", isOn: $alerts)
+        }
+    }
+}`);
+    assert.deepEqual(outline(root), [
+        'wf-stack.wf-v',
+        '  wf-text Title',
+        '  wf-contents',
+        '    wf-contents',
+        '      wf-stack.wf-h.wf-button Log out',
+        '  wf-stack.wf-h.wf-control',
+        '    wf-text Alerts',
+        '    wf-toggle',
+    ]);
+    assert.equal(root.style.gap, '10px');
+    assert.equal(root.style.alignItems, 'flex-start');
+});
+
+test('padding, background and overlay wrap the view they apply to', () => {
+    const { tree, root, boxes } = render(`
+struct ContentView: View {
+    var body: some View {
+        Text("Badge")
+            .padding(.horizontal, 10)
+            .background(.red.opacity(0.5))
+            .overlay(alignment: .topTrailing) { Circle() }
+    }
+}`);
+    assert.deepEqual(outline(root), [
+        'wf-zstack.wf-layer',
+        '  wf-stack.wf-v.wf-padding',
+        '    wf-text Badge',
+        '  wf-shape',
+    ]);
+    const padding = root.children[0];
+    assert.deepEqual([padding.style.paddingLeft, padding.style.paddingTop], ['8px', '0']);
+    assert.equal(padding.style.background, 'rgba(255, 59, 48, 0.5)');
+    assert.equal(boxes.get(tree), root);
+    assert.equal(root.dataset.wfNode, 'Text');
+});
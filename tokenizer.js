@@ -0,0 +1,206 @@
+// Swift tokenizer: a single pass over a source text producing the tokens parser.js works on
+// tokenize(source) -> { tokens, comments }
+// - tokens: [{ type, text, start, end, nl?, match?, unterminated? }] in source order (`end` is exclusive)
+//   type: 'identifier' (keywords included, `$name`, `$0`, `name` in backticks), 'number',
+//         'string' (single-line, """ multi-line and raw #"..."#, interpolations included), 'directive' (#if, #Preview, ...),
+//         'operator' (->, ==, ..<, ?, !, =, ...), 'punct' (brackets, , : ; . @ \ and anything else)
+//   nl: a line break (or a comment spanning one) comes before the token
+//   match: for ( ) [ ] { }, the index of the matching bracket, or -1 when it has none
+//   unterminated: a string that runs into the end of its line (or of the source, for """)
+// - comments: [{ start, end, unterminated? }] for // and (nested) /* */ comments, which are not tokens
+// Usable from the page (window.SwiftUITokenizer), the parse worker and Node (module.exports).
+
+(function () {
+    const PAIRS = { '(': ')', '[': ']', '{': '}' };
+    const CLOSERS = { ')': '(', ']': '[', '}': '{' };
+    const OPERATOR_CHARS = '/=-+!*%<>&|^~?';
+    const IDENT_START = /[\p{L}_]/u;
+    const IDENT_PART = /[\p{L}\p{N}_]/u;
+
+    // Character classes with an ASCII fast path (the tokenizer looks at every character)
+    function isIdentStart(ch) {
+        const c = ch.charCodeAt(0);
+        if (c < 128) return (c >= 97 && c <= 122) || (c >= 65 && c <= 90) || c === 95;
+        return IDENT_START.test(ch);
+    }
+
+    function isIdentPart(ch) {
+        const c = ch.charCodeAt(0);
+        if (c < 128) return (c >= 97 && c <= 122) || (c >= 65 && c <= 90) || (c >= 48 && c <= 57) || c === 95;
+        return IDENT_PART.test(ch);
+    }
+
+    // Number of `#` characters at `i`
+    function hashesAt(text, i) {
+        let k = i;
+        while (text[k] === '#') k++;
+        return k - i;
+    }
+
+    function tokenize(source) {
+        const text = String(source);
+        const n = text.length;
+        const tokens = [];
+        const comments = [];
+        // Open brackets (token indices); ( and [ of a line ending in an unterminated string are dropped with it
+        const stack = [];
+        let nl = true;
+        let i = 0;
+
+        const push = (type, start, end, extra) => {
+            const token = { type, text: text.slice(start, end), start, end };
+            if (nl) token.nl = true;
+            nl = false;
+            if (extra) Object.assign(token, extra);
+            tokens.push(token);
+            return token;
+        };
+
+        // End (exclusive) of the string literal whose opening quote (after `hashes` #s) is at `quote`
+        function readString(quote, hashes) {
+            const multiline = text.startsWith('"""', quote);
+            const close = (multiline ? '"""' : '"') + '#'.repeat(hashes);
+            const escape = '\\' + '#'.repeat(hashes);
+            let k = quote + (multiline ? 3 : 1);
+            while (k < n) {
+                if (!multiline && text[k] === '\n') return { end: k, unterminated: true };
+                if (text.startsWith(close, k)) return { end: k + close.length };
+                if (text.startsWith(escape, k)) {
+                    k += escape.length;
+                    if (text[k] !== '(') { k++; continue; }
+                    // Interpolation: balanced parentheses that may hold strings of their own
+                    let depth = 0;
+                    for (; k < n; k++) {
+                        if (!multiline && text[k] === '\n') return { end: k, unterminated: true };
+                        const h = hashesAt(text, k);
+                        if (text[k + h] === '"') {
+                            const inner = readString(k + h, h);
+                            if (inner.unterminated) return inner;
+                            k = inner.end - 1;
+                            continue;
+                        }
+                        if (text[k] === '(') depth++;
+                        else if (text[k] === ')' && --depth === 0) break;
+                    }
+                    k++;
+                    continue;
+                }
+                k++;
+            }
+            return { end: n, unterminated: true };
+        }
+
+        while (i < n) {
+            const ch = text[i];
+            if (ch === '\n') { nl = true; i++; continue; }
+            if (ch === ' ' || ch === '\t' || ch === '\r' || /\s/.test(ch)) { i++; continue; }
+
+            if (ch === '/' && text[i + 1] === '/') {
+                let k = i + 2;
+                while (k < n && text[k] !== '\n') k++;
+                comments.push({ start: i, end: k });
+                i = k;
+                continue;
+            }
+            if (ch === '/' && text[i + 1] === '*') {
+                let depth = 1; let k = i + 2;
+                while (k < n && depth) {
+                    if (text[k] === '/' && text[k + 1] === '*') { depth++; k += 2; }
+                    else if (text[k] === '*' && text[k + 1] === '/') { depth--; k += 2; }
+                    else k++;
+                }
+                const comment = { start: i, end: k };
+                if (depth) comment.unterminated = true;
+                comments.push(comment);
+                if (text.slice(i, k).includes('\n')) nl = true;
+                i = k;
+                continue;
+            }
+
+            // Strings, including raw strings (#"..."#) and their multi-line forms
+            const hashes = ch === '#' ? hashesAt(text, i) : 0;
+            if (text[i + hashes] === '"') {
+                const { end, unterminated } = readString(i + hashes, hashes);
+                const token = push('string', i, end, unterminated ? { unterminated } : null);
+                if (unterminated && !text.startsWith('"""', i + hashes)) {
+                    // The string probably swallowed the closers of this line's ( and [
+                    const lineStart = text.lastIndexOf('\n', i) + 1;
+                    while (stack.length && tokens[stack[stack.length - 1]].start >= lineStart && tokens[stack[stack.length - 1]].text !== '{') {
+                        stack.pop();
+                    }
+                }
+                i = token.end;
+                continue;
+            }
+
+            if (ch === '#' && i + 1 < n && isIdentStart(text[i + 1])) {
+                let k = i + 1;
+                while (k < n && isIdentPart(text[k])) k++;
+                push('directive', i, k);
+                i = k;
+                continue;
+            }
+
+            if (isIdentStart(ch) || (ch === '$' && i + 1 < n && isIdentPart(text[i + 1]))) {
+                let k = i + 1;
+                while (k < n && isIdentPart(text[k])) k++;
+                push('identifier', i, k);
+                i = k;
+                continue;
+            }
+            if (ch === '`') {
+                const close = text.indexOf('`', i + 1);
+                const end = close < 0 || text.slice(i, close).includes('\n') ? i + 1 : close + 1;
+                push(end > i + 1 ? 'identifier' : 'punct', i, end);
+                i = end;
+                continue;
+            }
+
+            if (ch >= '0' && ch <= '9') {
+                const m = /^(?:0x[0-9a-fA-F_]+|0b[01_]+|0o[0-7_]+|[0-9][0-9_]*(?:\.[0-9][0-9_]*)?(?:[eE][+-]?[0-9]+)?)/.exec(text.slice(i, i + 64));
+                push('number', i, i + m[0].length);
+                i += m[0].length;
+                continue;
+            }
+
+            // Operators: runs of operator characters; a run starting with `.` may contain dots (`..<`, `...`)
+            const dotted = ch === '.' && text[i + 1] === '.';
+            if (OPERATOR_CHARS.includes(ch) || dotted) {
+                let k = i + 1;
+                while (k < n && (OPERATOR_CHARS.includes(text[k]) || (dotted && text[k] === '.'))) {
+                    if (text[k] === '/' && (text[k + 1] === '/' || text[k + 1] === '*')) break;
+                    k++;
+                }
+                push('operator', i, k);
+                i = k;
+                continue;
+            }
+
+            const token = push('punct', i, i + 1);
+            const index = tokens.length - 1;
+            if (PAIRS[ch]) {
+                token.match = -1;
+                stack.push(index);
+            } else if (CLOSERS[ch]) {
+                token.match = -1;
+                let open = stack.length - 1;
+                while (open >= 0 && tokens[stack[open]].text !== CLOSERS[ch]) open--;
+                if (open >= 0) {
+                    // Brackets opened after the match are left unclosed
+                    const opener = stack[open];
+                    stack.length = open;
+                    tokens[opener].match = index;
+                    token.match = opener;
+                }
+            }
+            i++;
+        }
+        return { tokens, comments };
+    }
+
+    // Public API (browser + Node)
+    const SwiftUITokenizerAPI = { tokenize };
+    // `self` is the page's window, or the global scope of parse-worker.js
+    if (typeof self !== 'undefined') self.SwiftUITokenizer = SwiftUITokenizerAPI;
+    if (typeof module !== 'undefined' && module.exports) module.exports = SwiftUITokenizerAPI;
+})();
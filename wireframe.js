@@ -0,0 +1,489 @@
+// Approximate wireframe of a parsed view hierarchy (the tree returned by buildTreeForRoot)
+// - Stacks / grids become flex and grid boxes honoring `spacing` and `alignment`
+// - Text shows its literal (or bound value), Image a placeholder, common controls a sketch
+// - .padding, .frame, .background, .overlay, .clipShape, .font, .foregroundStyle... are applied approximately
+// - Only the first branch of if / switch / #if is drawn; nodes removed in compare mode are skipped
+// SwiftUIWireframe.render(tree, container) returns Map(node -> box element) for linking with the tree.
+// Usable from the page (window.SwiftUIWireframe) and from Node (module.exports, with a `document` to build in).
+
+(function () {
+    // Points to pixels: the preview is about 320px wide, an iPhone about 390pt
+    const SCALE = 0.82;
+    const DEFAULT_SPACING = 8;
+    const DEFAULT_PADDING = 16;
+
+    const COLORS = {
+        red: '#ff3b30', orange: '#ff9500', yellow: '#ffcc00', green: '#34c759', mint: '#00c7be', teal: '#30b0c7',
+        cyan: '#32ade6', blue: '#007aff', indigo: '#5856d6', purple: '#af52de', pink: '#ff2d55', brown: '#a2845e',
+        gray: '#8e8e93', black: '#000000', white: '#ffffff', primary: '#1c1c1e', secondary: '#8e8e93',
+        accentColor: '#007aff', accent: '#007aff', clear: 'transparent',
+    };
+    const FONT_SIZES = {
+        largeTitle: 34, title: 28, title2: 22, title3: 20, headline: 17, subheadline: 15,
+        body: 17, callout: 16, footnote: 13, caption: 12, caption2: 11,
+    };
+    const SHAPES = ['Rectangle', 'RoundedRectangle', 'Circle', 'Capsule', 'Ellipse', 'UnevenRoundedRectangle'];
+    // Nodes drawn as their children only (display: contents), so they take part in the parent's layout
+    const TRANSPARENT_KINDS = ['Scene', 'CustomView', 'Property', 'Function', 'Slot', 'Modifier', 'Branch', 'Case', 'ForEach'];
+
+    const px = pt => `${Math.round(pt * SCALE)}px`;
+    const argNamed = (node, label) => (node.args || []).find(a => a.label === label);
+    const firstPositional = node => (node.args || []).find(a => a.label === null);
+    const valueOf = arg => (arg ? (arg.resolved !== undefined ? arg.resolved : arg.value) : undefined);
+
+    function number(value) {
+        return value !== undefined && /^-?\d+(\.\d+)?$/.test(value.trim()) ? parseFloat(value) : null;
+    }
+
+    // Text of a string literal ("..." or """...""") or null for other expressions
+    function literal(value) {
+        if (value === undefined) return null;
+        const v = value.trim();
+        const triple = /^"""\s*\n?([\s\S]*?)\n?\s*"""$/.exec(v);
+        if (triple) return triple[1].split('\n').map(line => line.trim()).join('\n');
+        const single = /^"((?:[^"\\]|\\.)*)"$/.exec(v);
+        return single ? single[1].replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1') : null;
+    }
+
+    // CSS color for a SwiftUI color / ShapeStyle expression (`.red`, `Color.blue.opacity(0.2)`, `.thinMaterial`)
+    function cssColor(expr) {
+        if (!expr) return null;
+        const m = /^(?:Color\s*)?\.?(\w+)/.exec(expr.trim());
+        if (!m) return null;
+        let color = COLORS[m[1]] || (/Material$/.test(m[1]) ? 'rgba(210, 210, 220, 0.7)' : null);
+        if (!color) return null;
+        const opacity = /\.opacity\(\s*([\d.]+)\s*\)/.exec(expr);
+        if (opacity && color.startsWith('#')) {
+            const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+            color = `rgba(${r}, ${g}, ${b}, ${opacity[1]})`;
+        }
+        return color;
+    }
+
+    // [align-items, justify-content] of a column-direction box for a SwiftUI Alignment
+    function alignment(value) {
+        const v = (value || '').replace(/^\./, '');
+        const horizontal = /leading|Leading/.test(v) ? 'flex-start' : /trailing|Trailing/.test(v) ? 'flex-end' : 'center';
+        const vertical = /^top|Top$/.test(v) || v === 'top' ? 'flex-start' : /^bottom/.test(v) ? 'flex-end' : 'center';
+        return [horizontal, vertical];
+    }
+
+    function box(className, tag = 'div') {
+        const el = document.createElement(tag);
+        el.className = `wf ${className}`;
+        return el;
+    }
+
+    // Views and shapes that take all offered space
+    function expand(el) {
+        el.style.flex = '1 1 auto';
+        el.style.alignSelf = 'stretch';
+    }
+
+    function render(tree, container) {
+        const boxes = new Map();
+        container.innerHTML = '';
+        const root = build(tree, 'v', boxes);
+        if (root) container.appendChild(root);
+        return boxes;
+    }
+
+    // Build the element for a node. `axis` is the parent's layout: 'v' (column), 'h' (row) or 'z' (layers).
+    function build(node, axis, boxes) {
+        if (node.diff && node.diff.status === 'removed') return null;
+        let el = buildContent(node, axis, boxes);
+        if (!el) return null;
+        if (el.classList.contains('wf-contents') && node.modifiers && node.modifiers.length) {
+            // Modifiers need a box: lay the children out as SwiftUI would for a single view
+            el.className = 'wf wf-stack';
+            el.style.flexDirection = 'column';
+        }
+        el = applyModifiers(node, el, axis, boxes);
+        if (axis === 'z' && !el.classList.contains('wf-contents')) el.style.gridArea = '1 / 1';
+        el.dataset.wfNode = node.name;
+        boxes.set(node, el);
+        return el;
+    }
+
+    function buildChildren(el, children, axis, boxes) {
+        for (const child of children || []) {
+            const built = build(child, axis, boxes);
+            if (built) el.appendChild(built);
+        }
+        return el;
+    }
+
+    function buildContent(node, axis, boxes) {
+        const kind = node.kind || 'View';
+        if (kind === 'If' || kind === 'Switch' || kind === 'CompileIf') {
+            // Preview the first branch only
+            return buildChildren(box('wf-contents'), node.children.slice(0, 1), axis, boxes);
+        }
+        if (kind === 'Guard') return box('wf-contents');
+        const name = node.name.replace(/^SwiftUI\./, '');
+        if (/^(VStack|LazyVStack|HStack|LazyHStack)$/.test(name)) return stack(node, name.endsWith('VStack') ? 'v' : 'h', boxes);
+        if (name === 'ZStack') return zstack(node, boxes);
+        if (/^(LazyVGrid|LazyHGrid)$/.test(name)) return lazyGrid(node, name === 'LazyHGrid', boxes);
+        if (name === 'Grid') return buildChildren(withGap(box('wf-stack wf-v'), node, DEFAULT_SPACING, 'verticalSpacing'), node.children, 'v', boxes);
+        if (name === 'GridRow') return buildChildren(withGap(box('wf-stack wf-h wf-grid-row'), node, DEFAULT_SPACING, 'horizontalSpacing'), node.children, 'h', boxes);
+        if (name === 'ScrollView') {
+            const horizontal = /\.horizontal/.test(valueOf(firstPositional(node)) || '');
+            const el = buildChildren(withGap(box(`wf-stack wf-scroll ${horizontal ? 'wf-h' : 'wf-v'}`), node, DEFAULT_SPACING), node.children, horizontal ? 'h' : 'v', boxes);
+            expand(el);
+            return el;
+        }
+        if (name === 'List' || name === 'Form') return buildChildren(box('wf-stack wf-v wf-list'), node.children, 'v', boxes);
+        if (name === 'Section') return section(node, boxes);
+        if (name === 'NavigationStack' || name === 'NavigationView' || name === 'NavigationSplitView') return navigation(node, boxes);
+        if (name === 'TabView') return tabView(node, boxes);
+        if (name === 'GeometryReader') {
+            const el = buildChildren(box('wf-stack wf-v'), node.children, 'v', boxes);
+            expand(el);
+            return el;
+        }
+        if (name === 'Group' || name === 'ForEach' || TRANSPARENT_KINDS.includes(kind)) {
+            return buildChildren(box('wf-contents'), node.children, axis, boxes);
+        }
+        return leaf(node, name, axis, boxes);
+    }
+
+    function withGap(el, node, fallback, label = 'spacing') {
+        const spacing = number(valueOf(argNamed(node, label)));
+        el.style.gap = px(spacing === null ? fallback : spacing);
+        return el;
+    }
+
+    function stack(node, direction, boxes) {
+        const el = withGap(box(`wf-stack wf-${direction}`), node, DEFAULT_SPACING);
+        const align = (valueOf(argNamed(node, 'alignment')) || '').replace(/^\./, '');
+        const cross = /leading|top|firstTextBaseline/.test(align) ? 'flex-start' : /trailing|bottom|lastTextBaseline/.test(align) ? 'flex-end' : 'center';
+        el.style.alignItems = cross;
+        return buildChildren(el, node.children, direction, boxes);
+    }
+
+    function zstack(node, boxes) {
+        const el = box('wf-zstack');
+        const [horizontal, vertical] = alignment(valueOf(argNamed(node, 'alignment')));
+        el.style.justifyItems = horizontal.replace('flex-', '');
+        el.style.alignItems = vertical.replace('flex-', '');
+        return buildChildren(el, node.children, 'z', boxes);
+    }
+
+    // Column / row count from `columns: [GridItem(), GridItem()]` or `Array(repeating: GridItem(), count: 3)`
+    function lazyGrid(node, horizontal, boxes) {
+        const value = valueOf(argNamed(node, horizontal ? 'rows' : 'columns')) || '';
+        const repeat = /count:\s*(\d+)/.exec(value);
+        const count = repeat ? Number(repeat[1]) : (value.match(/GridItem\s*\(/g) || []).length || 2;
+        const el = withGap(box('wf-grid'), node, DEFAULT_SPACING);
+        if (horizontal) {
+            el.style.gridTemplateRows = `repeat(${count}, auto)`;
+            el.style.gridAutoFlow = 'column';
+        } else {
+            el.style.gridTemplateColumns = `repeat(${count}, minmax(0, 1fr))`;
+        }
+        return buildChildren(el, node.children, horizontal ? 'h' : 'v', boxes);
+    }
+
+    function section(node, boxes) {
+        const el = box('wf-stack wf-v wf-section');
+        const header = literal(valueOf(firstPositional(node))) || literal(valueOf(argNamed(node, 'header')));
+        if (header) {
+            const title = box('wf-section-header');
+            title.textContent = header;
+            el.appendChild(title);
+        }
+        return buildChildren(el, node.children.filter(c => !(c.kind === 'Slot' && /^(header|footer)$/.test(c.name))), 'v', boxes);
+    }
+
+    // Navigation bar with the first `.navigationTitle` found inside
+    function navigation(node, boxes) {
+        const el = box('wf-stack wf-v wf-navigation');
+        const title = findNavigationTitle(node);
+        if (title !== null) {
+            const bar = box('wf-nav-title');
+            bar.textContent = title;
+            el.appendChild(bar);
+        }
+        expand(el);
+        return buildChildren(el, node.children, 'v', boxes);
+    }
+
+    function findNavigationTitle(node) {
+        for (const mod of node.modifiers || []) {
+            if (mod.name === 'navigationTitle' && mod.args.length) return literal(valueOf(mod.args[0])) || mod.args[0].value;
+        }
+        for (const child of node.children || []) {
+            const title = findNavigationTitle(child);
+            if (title !== null) return title;
+        }
+        return null;
+    }
+
+    // First tab's content above a tab bar with one item per tab
+    function tabView(node, boxes) {
+        const el = box('wf-stack wf-v wf-tabview');
+        expand(el);
+        const content = box('wf-stack wf-v');
+        expand(content);
+        buildChildren(content, node.children.slice(0, 1), 'v', boxes);
+        const bar = box('wf-tabbar');
+        node.children.forEach((child, i) => {
+            const item = box('wf-tab');
+            const tabItem = (child.modifiers || []).find(m => m.name === 'tabItem');
+            const label = tabItem && tabItem.closures[0] ? tabItem.closures[0].value.match(/"([^"]*)"/) : null;
+            item.textContent = label ? label[1] : `Tab ${i + 1}`;
+            if (i === 0) item.classList.add('active');
+            bar.appendChild(item);
+        });
+        el.append(content, bar);
+        return el;
+    }
+
+    function leaf(node, name, axis, boxes) {
+        const text = literal(valueOf(firstPositional(node)));
+        if (name === 'Text') {
+            const el = box('wf-text', 'span');
+            el.textContent = text !== null ? text : valueOf(firstPositional(node)) || '';
+            if (text === null) el.classList.add('wf-expr');
+            return el;
+        }
+        if (name === 'Image' || name === 'AsyncImage') return image(node);
+        if (name === 'Label') {
+            const el = box('wf-stack wf-h wf-label');
+            el.style.gap = px(6);
+            const icon = box('wf-icon');
+            icon.title = literal(valueOf(argNamed(node, 'systemImage'))) || '';
+            const title = box('wf-text', 'span');
+            title.textContent = text !== null ? text : 'Label';
+            el.append(icon, title);
+            return el;
+        }
+        if (name === 'Button' || name === 'Link' || name === 'NavigationLink' || name === 'Menu' || name === 'ShareLink') {
+            const el = box('wf-stack wf-h wf-button');
+            // The label is either a title string, a `label:` closure or (NavigationLink) the trailing closure; a Menu's
+            // trailing closure is its items
+            const labelViews = (argNamed(node, 'label') || {}).children
+                || (node.children.find(c => c.kind === 'Slot' && c.name === 'label') || {}).children
+                || (name !== 'Button' && name !== 'Menu' && text === null ? node.children : null);
+            if (labelViews) buildChildren(el, labelViews, 'h', boxes);
+            else el.textContent = text !== null ? text : name;
+            return el;
+        }
+        if (name === 'Spacer') {
+            const el = box('wf-spacer');
+            el.style.flex = '1 1 0';
+            return el;
+        }
+        if (name === 'Divider') {
+            const el = box(`wf-divider ${axis === 'h' ? 'wf-divider-v' : ''}`);
+            el.style.alignSelf = 'stretch';
+            return el;
+        }
+        if (name.startsWith('Color') || SHAPES.includes(name)) return shape(node, name);
+        if (/^(TextField|SecureField|TextEditor)$/.test(name)) {
+            const el = box(`wf-field${name === 'TextEditor' ? ' wf-editor' : ''}`);
+            el.textContent = text !== null ? text : '';
+            el.style.alignSelf = 'stretch';
+            return el;
+        }
+        if (/^(Toggle|Picker|Stepper|DatePicker|ColorPicker)$/.test(name)) {
+            const el = box('wf-stack wf-h wf-control');
+            const label = box('wf-text', 'span');
+            label.textContent = text !== null ? text : '';
+            const control = box(`wf-${name.toLowerCase()}`);
+            control.textContent = { Toggle: '', Picker: '選項 ⌄', Stepper: '－ ＋', DatePicker: '日期', ColorPicker: '' }[name];
+            el.append(label, control);
+            el.style.alignSelf = 'stretch';
+            return el;
+        }
+        if (name === 'Slider' || name === 'ProgressView' || name === 'Gauge') {
+            const el = box(name === 'ProgressView' && !argNamed(node, 'value') ? 'wf-spinner' : 'wf-track');
+            if (el.classList.contains('wf-track')) el.style.alignSelf = 'stretch';
+            return el;
+        }
+        // Unknown view: a labeled placeholder
+        const el = box('wf-unknown');
+        el.textContent = node.name;
+        return el;
+    }
+
+    function image(node) {
+        const system = literal(valueOf(argNamed(node, 'systemName')));
+        const el = box(system !== null ? 'wf-icon' : 'wf-image');
+        el.title = system !== null ? system : valueOf(firstPositional(node)) || 'Image';
+        if (system === null && (node.modifiers || []).some(m => m.name === 'resizable')) {
+            el.style.alignSelf = 'stretch';
+            el.style.width = 'auto';
+        }
+        return el;
+    }
+
+    function shape(node, name) {
+        const el = box('wf-shape');
+        expand(el);
+        const mods = node.modifiers || [];
+        const fill = mods.find(m => m.name === 'fill' || m.name === 'foregroundStyle' || m.name === 'foregroundColor');
+        const stroke = mods.find(m => m.name === 'stroke' || m.name === 'strokeBorder');
+        const expr = name.startsWith('Color') ? `${node.name}${node.args ? `(${node.args.map(valueOf).join(', ')})` : ''}` : null;
+        const color = expr ? cssColor(expr) : fill && fill.args.length ? cssColor(valueOf(fill.args[0])) : null;
+        if (stroke) {
+            const width = number(valueOf(argNamed(stroke, 'lineWidth')));
+            el.style.border = `${px(width || 1)} solid ${cssColor(valueOf(stroke.args[0])) || '#8e8e93'}`;
+            el.style.background = 'transparent';
+        } else if (color) {
+            el.style.background = color;
+        }
+        if (name === 'Circle') { el.style.borderRadius = '50%'; el.style.aspectRatio = '1'; el.style.flex = '0 1 auto'; }
+        if (name === 'Capsule' || name === 'Ellipse') el.style.borderRadius = '999px';
+        const radius = number(valueOf(argNamed(node, 'cornerRadius')));
+        if (radius !== null) el.style.borderRadius = px(radius);
+        return el;
+    }
+
+    // Wrap an element in a new box (for padding / frame / layers); expanding views keep expanding
+    function wrap(el, className) {
+        const outer = box(`wf-stack wf-v ${className}`);
+        outer.style.flex = el.style.flex;
+        outer.style.alignSelf = el.style.alignSelf;
+        if (el.style.flex) el.style.flex = '1 1 auto';
+        outer.appendChild(el);
+        return outer;
+    }
+
+    // Views placed behind (background) or in front of (overlay) an element
+    function layer(el, views, front, align, boxes) {
+        const outer = box('wf-zstack wf-layer');
+        outer.style.flex = el.style.flex;
+        outer.style.alignSelf = el.style.alignSelf;
+        el.style.gridArea = '1 / 1';
+        const [horizontal, vertical] = alignment(align);
+        const built = views.map(view => build(view, 'z', boxes)).filter(Boolean);
+        for (const b of built) {
+            if (!b.classList.contains('wf-shape')) { b.style.justifySelf = horizontal.replace('flex-', ''); b.style.alignSelf = vertical.replace('flex-', ''); }
+        }
+        if (front) outer.append(el, ...built);
+        else outer.append(...built, el);
+        return outer;
+    }
+
+    function applyModifiers(node, el, axis, boxes) {
+        const isLeafShape = el.classList.contains('wf-shape');
+        for (const mod of node.modifiers || []) {
+            const args = mod.args;
+            const first = args.length ? valueOf(args[0]) : undefined;
+            const views = [...args, ...mod.closures].flatMap(part => part.children || []);
+            switch (mod.name) {
+                case 'padding': {
+                    el = wrap(el, 'wf-padding');
+                    const amount = args.map(a => number(valueOf(a))).find(v => v !== null);
+                    const size = px(amount === undefined ? DEFAULT_PADDING : amount);
+                    const edges = args.length && /^\./.test(first || '') ? first : '.all';
+                    const has = edge => /\.all/.test(edges) || new RegExp(`\\.${edge}`).test(edges)
+                        || (/\.horizontal/.test(edges) && (edge === 'leading' || edge === 'trailing'))
+                        || (/\.vertical/.test(edges) && (edge === 'top' || edge === 'bottom'));
+                    el.style.paddingTop = has('top') ? size : '0';
+                    el.style.paddingBottom = has('bottom') ? size : '0';
+                    el.style.paddingLeft = has('leading') ? size : '0';
+                    el.style.paddingRight = has('trailing') ? size : '0';
+                    break;
+                }
+                case 'frame': {
+                    el = wrap(el, 'wf-frame');
+                    const size = label => number(valueOf(argNamed(mod, label)));
+                    const infinite = label => /infinity/.test(valueOf(argNamed(mod, label)) || '');
+                    if (size('width') !== null) el.style.width = px(size('width'));
+                    if (size('height') !== null) el.style.height = px(size('height'));
+                    if (size('minWidth') !== null) el.style.minWidth = px(size('minWidth'));
+                    if (size('minHeight') !== null) el.style.minHeight = px(size('minHeight'));
+                    if (size('maxWidth') !== null) el.style.maxWidth = px(size('maxWidth'));
+                    if (size('maxHeight') !== null) el.style.maxHeight = px(size('maxHeight'));
+                    if (infinite('maxWidth')) {
+                        if (axis === 'h') el.style.flex = '1 1 auto';
+                        else { el.style.alignSelf = 'stretch'; el.style.width = 'auto'; }
+                    }
+                    if (infinite('maxHeight')) {
+                        if (axis === 'v') el.style.flex = '1 1 auto';
+                        else el.style.alignSelf = 'stretch';
+                    }
+                    const [horizontal, vertical] = alignment(valueOf(argNamed(mod, 'alignment')));
+                    el.style.alignItems = horizontal;
+                    el.style.justifyContent = vertical;
+                    break;
+                }
+                case 'background':
+                case 'overlay': {
+                    const align = valueOf(argNamed(mod, 'alignment'));
+                    if (views.length) { el = layer(el, views, mod.name === 'overlay', align, boxes); break; }
+                    const color = cssColor(first);
+                    if (!color) break;
+                    if (mod.name === 'overlay' || el.style.background) {
+                        el = wrap(el, 'wf-layer');
+                        if (mod.name === 'overlay') { el.style.boxShadow = `inset 0 0 0 999px ${color}`; break; }
+                    }
+                    el.style.background = color;
+                    break;
+                }
+                case 'clipShape':
+                case 'cornerRadius':
+                case 'mask': {
+                    const text = args.map(valueOf).join(', ');
+                    const radius = number(first) !== null ? number(first) : number((/cornerRadius:\s*([\d.]+)/.exec(text) || [])[1]);
+                    if (/Circle|\.circle/.test(text)) el.style.borderRadius = '50%';
+                    else if (/Capsule|\.capsule/.test(text)) el.style.borderRadius = '999px';
+                    else if (radius !== null) el.style.borderRadius = px(radius);
+                    el.style.overflow = 'hidden';
+                    break;
+                }
+                case 'foregroundStyle':
+                case 'foregroundColor':
+                case 'tint': {
+                    const color = cssColor(first);
+                    if (color && !isLeafShape) el.style.color = color;
+                    break;
+                }
+                case 'font': {
+                    const style = /\.?(\w+)/.exec(first || '');
+                    const size = number((/size:\s*([\d.]+)/.exec(first || '') || [])[1]);
+                    const pt = size !== null ? size : style && FONT_SIZES[style[1]];
+                    if (pt) el.style.fontSize = px(pt);
+                    if (style && style[1] === 'headline' || /weight:\s*\.(bold|semibold|heavy|black)/.test(first || '')) el.style.fontWeight = '700';
+                    break;
+                }
+                case 'bold':
+                    el.style.fontWeight = '700';
+                    break;
+                case 'fontWeight':
+                    el.style.fontWeight = /bold|heavy|black|semibold/.test(first || '') ? '700' : /light|thin/.test(first || '') ? '300' : '400';
+                    break;
+                case 'italic':
+                    el.style.fontStyle = 'italic';
+                    break;
+                case 'multilineTextAlignment':
+                    el.style.textAlign = /center/.test(first || '') ? 'center' : /trailing/.test(first || '') ? 'right' : 'left';
+                    break;
+                case 'opacity':
+                    if (number(first) !== null) el.style.opacity = String(number(first));
+                    break;
+                case 'shadow':
+                    el.style.boxShadow = '0 2px 8px rgba(0, 0, 0, 0.2)';
+                    break;
+                case 'border': {
+                    const width = number(valueOf(argNamed(mod, 'width')));
+                    el.style.border = `${px(width || 1)} solid ${cssColor(first) || '#8e8e93'}`;
+                    break;
+                }
+                case 'hidden':
+                    el.style.visibility = 'hidden';
+                    break;
+                default:
+                    break;
+            }
+        }
+        return el;
+    }
+
+    // Public API (browser + Node)
+    const SwiftUIWireframeAPI = { render };
+    if (typeof window !== 'undefined') window.SwiftUIWireframe = SwiftUIWireframeAPI;
+    if (typeof module !== 'undefined' && module.exports) module.exports = SwiftUIWireframeAPI;
+})();